@@ -3,13 +3,28 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
-const sharp = require('sharp');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const chatGPTService = require('./services/chatgptService');
 const nutritionService = require('./services/nutritionService');
 const patternSummaryService = require('./services/patternSummaryService');
+const mealLogService = require('./services/mealLogService');
+const recipeService = require('./services/recipeService');
+const targetsService = require('./services/targetsService');
+const scoringService = require('./services/scoringService');
+const analysisStore = require('./services/analysisStore');
+const analysisPipeline = require('./services/analysisPipeline');
+const jobQueue = require('./services/jobQueue');
+const analysisCache = require('./services/analysisCache');
+const macroEstimateService = require('./services/macroEstimateService');
+const foodSearchService = require('./services/foodSearchService');
+const mealParser = require('./services/mealParser');
+const voiceMealService = require('./services/voiceMealService');
+const barcodeDecoder = require('./services/barcodeDecoder');
+const openFoodFactsService = require('./services/openFoodFactsService');
+const { NUTRIENT_UNITS } = require('./services/nutrientSchema');
+const { createTimeContext, isValidTimeZone, parseDayStartHour, addDays } = require('./services/timeContext');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -60,6 +75,29 @@ const upload = multer({
   }
 });
 
+// Voice memos for /api/voice-meal (m4a from iOS, webm/ogg from browsers); 25MB is the Whisper API limit
+const audioUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: (parseInt(process.env.MAX_AUDIO_SIZE_MB) || 25) * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = ['video/mp4', 'video/webm', 'application/octet-stream'];
+    
+    if (allowedMimeTypes.includes(file.mimetype) || file.mimetype.startsWith('audio/')) {
+      cb(null, true);
+    } else {
+      console.log(`File rejected: ${file.originalname}, mimetype: ${file.mimetype}`);
+      cb(new Error(`Invalid file type. Allowed types: audio files`), false);
+    }
+  }
+});
+
+// Frames accepted in one analysis (several angles of a meal, or before/after for leftovers)
+const MAX_IMAGES_PER_ANALYSIS = parseInt(process.env.MAX_IMAGES_PER_ANALYSIS) || 4;
+// Interval between keep-alive comments on /api/analyze-food/stream
+const ANALYSIS_STREAM_HEARTBEAT_MS = parseInt(process.env.ANALYSIS_STREAM_HEARTBEAT_MS) || 15000;
+
 // Body parsing middleware for JSON routes only (not for multipart/form-data)
 // Apply only to routes that need JSON parsing, not globally
 // This prevents express.json() from consuming the body stream before multer can read it
@@ -74,7 +112,18 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
-      analyze: '/api/analyze-food'
+      analyze: '/api/analyze-food',
+      analyzeStream: '/api/analyze-food/stream',
+      jobs: '/api/jobs/:id',
+      foodSearch: '/api/foods/search',
+      parseMeal: '/api/parse-meal',
+      voiceMeal: '/api/voice-meal',
+      recipes: '/api/recipes',
+      targets: '/api/targets',
+      dailyScore: '/api/scores/daily',
+      analyses: '/api/analyses/:id',
+      barcode: '/api/barcode',
+      meals: '/api/meals'
     }
   });
 });
@@ -101,8 +150,187 @@ app.get('/test', (req, res) => {
   });
 });
 
+// Boolean option given as a query parameter or multipart form field (1/true)
+function isFlagSet(req, name) {
+  const value = req.query[name] !== undefined ? req.query[name] : req.body[name];
+  return value === '1' || value === 'true';
+}
+
+// Request details for debugging analysis uploads
+function logAnalysisRequest(req) {
+  if (process.env.NODE_ENV !== 'production') {
+    console.log('🍎 Food analysis request received');
+    console.log('📱 Request timestamp:', new Date().toISOString());
+    console.log('📱 Content-Type:', req.get('Content-Type'));
+    console.log('📱 File info:', req.files && req.files.length ? req.files.map(file => ({
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    })) : 'No file');
+  }
+}
+
+// Request checks shared by the analysis routes, run before any work starts;
+// returns { status, body } for an invalid request, otherwise null
+function checkAnalysisRequest(req) {
+  const contentType = req.get('Content-Type');
+  if (!contentType || !contentType.includes('multipart/form-data')) {
+    console.error('❌ Invalid Content-Type:', contentType);
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid Content-Type. Expected multipart/form-data',
+        code: 'INVALID_CONTENT_TYPE',
+        received: contentType
+      }
+    };
+  }
+  
+  try {
+    analysisPipeline.validate({
+      files: req.files,
+      mode: analysisPipeline.normalizeMode(req.body.mode || req.query.mode)
+    });
+  } catch (validationError) {
+    return describeAnalysisError(validationError);
+  }
+  return null;
+}
+
+// Map an analysis failure to { status, body } for JSON responses and stream error events
+function describeAnalysisError(error) {
+  // Validation and image errors raised by the pipeline carry their own response
+  if (error.statusCode && error.body) {
+    return { status: error.statusCode, body: error.body };
+  }
+  
+  // Handle specific error types
+  if (error.message && error.message.includes('timed out')) {
+    return {
+      status: 504,
+      body: {
+        error: 'Request timeout',
+        code: 'ANALYSIS_TIMEOUT',
+        message: 'Food analysis timed out. Please try again.'
+      }
+    };
+  }
+  
+  if (error.message && error.message.includes('Invalid file type')) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid file type',
+        code: 'INVALID_FILE_TYPE',
+        message: error.message
+      }
+    };
+  }
+  
+  if (error.message && error.message.includes('File too large')) {
+    return {
+      status: 400,
+      body: {
+        error: 'File too large',
+        code: 'FILE_TOO_LARGE',
+        message: `Maximum file size is ${process.env.MAX_IMAGE_SIZE_MB || 10}MB`
+      }
+    };
+  }
+  
+  if (error.message && error.message.includes('API key')) {
+    return {
+      status: 500,
+      body: {
+        error: 'Server configuration error',
+        code: 'API_KEY_ERROR',
+        message: 'OpenAI API key is not configured correctly'
+      }
+    };
+  }
+  
+  // Generic error response with more details in development
+  const errorMessage = process.env.NODE_ENV === 'production' 
+    ? 'Failed to analyze food image'
+    : error.message || 'Failed to analyze food image';
+  
+  return {
+    status: 500,
+    body: {
+      error: 'Internal server error',
+      code: 'ANALYSIS_FAILED',
+      message: errorMessage
+    }
+  };
+}
+
+// The caller's X-User-Id, or null. Jobs and stored analyses created with the header are only
+// returned to requests sending the same one
+function requestUserId(req) {
+  const userId = req.get('X-User-Id');
+  return userId && userId.trim() ? userId.trim() : null;
+}
+
+// Failed attempts are retried unless the request itself was at fault or the server is misconfigured
+function isRetryableAnalysisError(error) {
+  const { status, body } = describeAnalysisError(error);
+  return status >= 500 && body.code !== 'API_KEY_ERROR';
+}
+
+// Queue an already-validated analysis request and answer 202 with the job ID
+async function enqueueAnalysisJob(req, res) {
+  const callbackUrl = req.body.callbackUrl || req.query.callbackUrl || null;
+  if (callbackUrl) {
+    const reason = await jobQueue.checkCallbackUrl(callbackUrl);
+    if (reason) {
+      return res.status(400).json({
+        error: 'Invalid callback URL',
+        code: 'INVALID_CALLBACK_URL',
+        message: reason
+      });
+    }
+  }
+  
+  const input = {
+    files: req.files,
+    mode: req.body.mode || req.query.mode,
+    userId: req.get('X-User-Id'),
+    refresh: isFlagSet(req, 'refresh')
+  };
+  const job = jobQueue.enqueue(async ({ signal }) => ({
+    success: true,
+    ...await analysisPipeline.run(input, { signal })
+  }), {
+    type: 'analyze-food',
+    userId: requestUserId(req),
+    bytes: req.files.reduce((sum, file) => sum + file.size, 0),
+    callbackUrl,
+    describeError: error => {
+      const { status, body } = describeAnalysisError(error);
+      return { status, ...body };
+    },
+    isRetryable: isRetryableAnalysisError
+  });
+  
+  if (!job) {
+    return res.status(503).json({
+      error: 'Analysis queue is full',
+      code: 'QUEUE_FULL',
+      message: 'Too many analyses are waiting. Please try again shortly.'
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+}
+
 // Analyze food image endpoint
-app.post('/api/analyze-food', upload.single('image'), async (req, res) => {
+app.post('/api/analyze-food', upload.array('image', MAX_IMAGES_PER_ANALYSIS), async (req, res) => {
   const requestStartTime = Date.now();
   
   // Set keep-alive headers to prevent Railway load balancer timeout
@@ -123,127 +351,35 @@ app.post('/api/analyze-food', upload.single('image'), async (req, res) => {
   }, 100000); // 100 seconds - gives buffer beyond OpenAI's 80s timeout
   
   try {
-    // Log request details for debugging
-    const contentType = req.get('Content-Type');
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('🍎 Food analysis request received');
-      console.log('📱 Request timestamp:', new Date().toISOString());
-      console.log('📱 Content-Type:', contentType);
-      console.log('📱 File info:', req.file ? {
-        fieldname: req.file.fieldname,
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size
-      } : 'No file');
-    }
-    
-    // Check if Content-Type is correct
-    if (!contentType || !contentType.includes('multipart/form-data')) {
-      clearTimeout(requestTimeout);
-      console.error('❌ Invalid Content-Type:', contentType);
-      return res.status(400).json({
-        error: 'Invalid Content-Type. Expected multipart/form-data',
-        code: 'INVALID_CONTENT_TYPE',
-        received: contentType
-      });
-    }
+    logAnalysisRequest(req);
     
-    if (!req.file) {
-      clearTimeout(requestTimeout);
-      console.log('❌ No image file provided');
-      return res.status(400).json({ 
-        error: 'No image provided',
-        code: 'NO_IMAGE'
-      });
-    }
-
-    // Process image with Sharp (resize, optimize)
-    // Balance between quality and speed: 768x768 provides better accuracy while still being fast
-    // Quality 80 maintains good image quality for accurate food recognition
-    let processedImage;
-    try {
-      processedImage = await sharp(req.file.buffer)
-        .resize(768, 768, { 
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .jpeg({ 
-          quality: 80, // Good balance between quality and file size
-          mozjpeg: true // Use mozjpeg for better compression
-        })
-        .normalize() // Auto-adjust brightness/contrast to prevent "too dark" issues
-        .toBuffer();
-    } catch (sharpError) {
-      clearTimeout(requestTimeout);
-      console.error('❌ Sharp image processing error:', sharpError);
-      if (sharpError.message && (sharpError.message.includes('Input buffer') || sharpError.message.includes('unsupported image format') || sharpError.message.includes('corrupt'))) {
-        return res.status(400).json({
-          error: 'Invalid image file',
-          code: 'INVALID_IMAGE',
-          message: 'The image file is corrupted or in an unsupported format. Please try a different image.'
-        });
-      }
-      throw sharpError; // Re-throw to be caught by outer catch
-    }
-
-    // Convert to base64 for ChatGPT Vision
-    const base64Image = processedImage.toString('base64');
-    
-    if (!base64Image || base64Image.length === 0) {
+    const requestError = checkAnalysisRequest(req);
+    if (requestError) {
       clearTimeout(requestTimeout);
-      console.error('❌ Failed to convert image to base64');
-      return res.status(500).json({
-        error: 'Image processing failed',
-        code: 'IMAGE_CONVERSION_FAILED',
-        message: 'Failed to process image. Please try again.'
-      });
+      return res.status(requestError.status).json(requestError.body);
     }
     
-    // Analyze with ChatGPT Vision
-    const chatGPTStartTime = Date.now();
-    console.log('🤖 Calling ChatGPT Vision API...');
-    console.log('⏱️ Request elapsed so far:', chatGPTStartTime - requestStartTime, 'ms');
-    console.log('📊 Base64 image size:', Math.round(base64Image.length / 1024), 'KB');
-    
-    let chatGPTResponse;
-    try {
-      chatGPTResponse = await chatGPTService.analyzeFoodImage(base64Image);
-    } catch (chatGPTError) {
+    // ?async=1 answers right away with a job to poll (and optionally a callbackUrl to notify)
+    if (isFlagSet(req, 'async')) {
       clearTimeout(requestTimeout);
-      console.error('❌ ChatGPT API error:', chatGPTError);
-      // Re-throw to be handled by outer catch block
-      throw chatGPTError;
-    }
-    
-    const chatGPTElapsed = Date.now() - chatGPTStartTime;
-    console.log(`✅ ChatGPT API call completed in ${chatGPTElapsed}ms`);
-    console.log('⏱️ Total elapsed:', Date.now() - requestStartTime, 'ms');
-    
-    // Enhance with nutrition data
-    let enhancedAnalysis;
-    try {
-      enhancedAnalysis = await nutritionService.enhanceWithNutritionData(chatGPTResponse);
-    } catch (nutritionError) {
-      // If nutrition enhancement fails, use the ChatGPT response directly
-      console.error('⚠️ Nutrition enhancement failed, using ChatGPT response directly:', nutritionError);
-      enhancedAnalysis = chatGPTResponse;
+      return await enqueueAnalysisJob(req, res);
     }
+
+    const result = await analysisPipeline.run({
+      files: req.files,
+      mode: req.body.mode || req.query.mode,
+      userId: req.get('X-User-Id'),
+      refresh: isFlagSet(req, 'refresh')
+    });
     
     clearTimeout(requestTimeout);
-    
-    const totalElapsed = Date.now() - requestStartTime;
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Analysis complete in ${totalElapsed}ms`);
+    if (res.headersSent) {
+      return; // The request timeout already answered
     }
     
-    // Generate unique analysis ID
-    const analysisId = uuidv4();
-    
     res.json({
       success: true,
-      analysisId,
-      timestamp: new Date().toISOString(),
-      analysis: enhancedAnalysis
+      ...result
     });
 
   } catch (error) {
@@ -260,61 +396,344 @@ app.post('/api/analyze-food', upload.single('image'), async (req, res) => {
       return;
     }
     
-    // Handle specific error types
-    if (error.message && error.message.includes('timed out')) {
-      return res.status(504).json({
-        error: 'Request timeout',
-        code: 'ANALYSIS_TIMEOUT',
-        message: 'Food analysis timed out. Please try again.'
-      });
+    const { status, body } = describeAnalysisError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Streaming variant of /api/analyze-food: the same multipart request, answered with Server-Sent Events
+// (image_processed, model_started, food, model_completed, nutrition_enhanced, totals, then complete or error).
+// Heartbeat comments keep proxies from closing the connection while the model is working
+app.post('/api/analyze-food/stream', upload.array('image', MAX_IMAGES_PER_ANALYSIS), async (req, res) => {
+  logAnalysisRequest(req);
+  
+  // Problems with the request itself are still plain JSON errors, before the stream starts
+  const requestError = checkAnalysisRequest(req);
+  if (requestError) {
+    return res.status(requestError.status).json(requestError.body);
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, ANALYSIS_STREAM_HEARTBEAT_MS);
+  // A client that disconnects mid-analysis cancels the run, including the in-flight model call
+  const controller = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     }
+  };
+  
+  try {
+    const result = await analysisPipeline.run({
+      files: req.files,
+      mode: req.body.mode || req.query.mode,
+      userId: req.get('X-User-Id'),
+      refresh: isFlagSet(req, 'refresh')
+    }, { onProgress: sendEvent, stream: true, signal: controller.signal });
     
-    if (error.message && error.message.includes('Invalid file type')) {
-      return res.status(400).json({
-        error: 'Invalid file type',
-        code: 'INVALID_FILE_TYPE',
-        message: error.message
+    sendEvent('complete', {
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('🔌 Streamed food analysis cancelled: client disconnected');
+      return;
+    }
+    console.error('❌ Error in streamed food analysis:', error.message);
+    const { status, body } = describeAnalysisError(error);
+    sendEvent('error', { status, ...body });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Status of a queued analysis; the result (or error) is included once the job has finished
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id, requestUserId(req));
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND',
+      message: 'The job does not exist or finished too long ago'
+    });
+  }
+  
+  res.json(jobQueue.toJSON(job));
+});
+
+// Cancel a queued or running analysis
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id, requestUserId(req));
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND',
+      message: 'The job does not exist or finished too long ago'
+    });
+  }
+  
+  if (jobQueue.isFinished(job)) {
+    return res.status(409).json({
+      error: 'Job already finished',
+      code: 'JOB_ALREADY_FINISHED',
+      job: jobQueue.toJSON(job)
+    });
+  }
+  
+  jobQueue.cancel(job.id);
+  res.json(jobQueue.toJSON(job));
+});
+
+// Admin routes need X-Admin-Key to match ADMIN_API_KEY; they are disabled while it is unset
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      code: 'ADMIN_DISABLED',
+      message: 'Set ADMIN_API_KEY to enable admin routes'
+    });
+  }
+  
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      error: 'Invalid admin key',
+      code: 'INVALID_ADMIN_KEY'
+    });
+  }
+  next();
+};
+
+// Analysis cache size and settings
+app.get('/api/admin/analysis-cache', requireAdminKey, async (req, res) => {
+  try {
+    res.json(await analysisCache.stats());
+  } catch (error) {
+    console.error('Error reading analysis cache stats:', error);
+    res.status(500).json({
+      error: 'Failed to read analysis cache',
+      code: 'CACHE_STATS_FAILED'
+    });
+  }
+});
+
+// Purge cached analyses: everything, only expired entries (?expired=1) or one entry (?key=)
+app.delete('/api/admin/analysis-cache', requireAdminKey, async (req, res) => {
+  try {
+    const removed = await analysisCache.purge({
+      key: req.query.key,
+      expiredOnly: req.query.expired === '1' || req.query.expired === 'true'
+    });
+    console.log(`🧹 Purged ${removed} analysis cache entries`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error purging analysis cache:', error);
+    res.status(500).json({
+      error: 'Failed to purge analysis cache',
+      code: 'CACHE_PURGE_FAILED'
+    });
+  }
+});
+
+// Canonical food table built from accepted /api/estimate-macros answers
+app.get('/api/admin/canonical-foods', requireAdminKey, async (req, res) => {
+  try {
+    const foods = await macroEstimateService.listCanonicalFoods();
+    res.json({ count: foods.length, foods });
+  } catch (error) {
+    console.error('Error listing canonical foods:', error);
+    res.status(500).json({
+      error: 'Failed to list canonical foods',
+      code: 'CANONICAL_FOODS_FAILED'
+    });
+  }
+});
+
+// Remove a wrong canonical entry; the next query for that name asks the model again
+app.delete('/api/admin/canonical-foods/:key', requireAdminKey, async (req, res) => {
+  try {
+    const deleted = await macroEstimateService.deleteCanonicalFood(req.params.key);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Canonical food not found',
+        code: 'CANONICAL_FOOD_NOT_FOUND'
       });
     }
-    
-    if (error.message && error.message.includes('File too large')) {
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting canonical food:', error);
+    res.status(500).json({
+      error: 'Failed to delete canonical food',
+      code: 'CANONICAL_FOOD_DELETE_FAILED'
+    });
+  }
+});
+
+// Fetch a stored analysis by the analysisId returned from /api/analyze-food (with the same X-User-Id)
+app.get('/api/analyses/:id', async (req, res) => {
+  try {
+    const record = await analysisStore.getAnalysis(req.params.id, requestUserId(req));
+    if (!record) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        code: 'ANALYSIS_NOT_FOUND',
+        message: 'The analysis does not exist or is past its retention window'
+      });
+    }
+
+    res.json({
+      success: true,
+      analysisId: record.analysisId,
+      timestamp: record.createdAt,
+      expiresAt: record.expiresAt,
+      analysis: record.analysis,
+      thumbnail: record.thumbnail,
+      model: record.model
+    });
+
+  } catch (error) {
+    console.error('Error fetching analysis:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analysis',
+      code: 'ANALYSIS_FETCH_FAILED'
+    });
+  }
+});
+
+// Barcode lookup: accepts { code } as JSON or an "image" upload that is decoded on the server
+const parseBarcodeRequest = (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return upload.single('image')(req, res, next);
+  }
+  return jsonParser(req, res, next);
+};
+
+app.post('/api/barcode', parseBarcodeRequest, async (req, res) => {
+  try {
+    let rawCode = req.body && req.body.code;
+    let decoded = null;
+
+    if (req.file) {
+      try {
+        decoded = await barcodeDecoder.decodeImage(req.file.buffer);
+      } catch (sharpError) {
+        console.error('❌ Barcode image processing error:', sharpError);
+        return res.status(400).json({
+          error: 'Invalid image file',
+          code: 'INVALID_IMAGE',
+          message: 'The image file is corrupted or in an unsupported format. Please try a different image.'
+        });
+      }
+      if (!decoded) {
+        return res.status(422).json({
+          error: 'No barcode found',
+          code: 'BARCODE_NOT_FOUND',
+          message: 'No UPC/EAN barcode could be read from the image. Try a closer, well-lit photo.'
+        });
+      }
+      rawCode = decoded.code;
+    }
+
+    if (!rawCode) {
       return res.status(400).json({
-        error: 'File too large',
-        code: 'FILE_TOO_LARGE',
-        message: `Maximum file size is ${process.env.MAX_IMAGE_SIZE_MB || 10}MB`
+        error: 'Barcode or image is required',
+        code: 'NO_BARCODE'
       });
     }
-    
-    // Handle Sharp image processing errors (if not already handled)
-    if (error.message && (error.message.includes('Input buffer') || error.message.includes('unsupported image format') || error.message.includes('corrupt'))) {
+
+    const code = openFoodFactsService.normalizeBarcode(rawCode);
+    if (!code) {
       return res.status(400).json({
-        error: 'Invalid image file',
-        code: 'INVALID_IMAGE',
-        message: 'The image file is corrupted or in an unsupported format. Please try a different image.'
+        error: 'Invalid barcode',
+        code: 'INVALID_BARCODE',
+        message: 'Expected a UPC-A, EAN-13 or EAN-8 code with a valid check digit'
       });
     }
-    
-    if (error.message && error.message.includes('API key')) {
-      return res.status(500).json({
-        error: 'Server configuration error',
-        code: 'API_KEY_ERROR',
-        message: 'OpenAI API key is not configured correctly'
+
+    const status = openFoodFactsService.getStatus();
+    if (status !== 'ready') {
+      return res.status(503).json({
+        error: 'Barcode database unavailable',
+        code: status === 'loading' ? 'BARCODE_DATABASE_LOADING' : 'BARCODE_DATABASE_UNAVAILABLE',
+        message: status === 'loading'
+          ? 'The product database is still loading. Please try again shortly.'
+          : 'No product database is configured on this server'
       });
     }
-    
-    // Generic error response with more details in development
-    const errorMessage = process.env.NODE_ENV === 'production' 
-      ? 'Failed to analyze food image'
-      : error.message || 'Failed to analyze food image';
-    
+
+    const product = openFoodFactsService.findProduct(code);
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND',
+        barcode: code
+      });
+    }
+
+    const label = openFoodFactsService.getLabelValues(product);
+    const food = nutritionService.createLabelFood({
+      name: product.brand ? `${product.name} (${product.brand})` : product.name,
+      nutrients: label.nutrients,
+      servingSize: label.servingSize,
+      servingGrams: label.servingGrams,
+      match: {
+        name: product.name,
+        description: product.brand,
+        score: 1,
+        source: 'open_food_facts',
+        barcode: product.code
+      }
+    });
+
+    res.json({
+      success: true,
+      barcode: {
+        code,
+        format: decoded ? decoded.format : null,
+        decodedFromImage: Boolean(decoded)
+      },
+      food,
+      units: NUTRIENT_UNITS
+    });
+
+  } catch (error) {
+    console.error('Error looking up barcode:', error);
     res.status(500).json({
-      error: 'Internal server error',
-      code: 'ANALYSIS_FAILED',
-      message: errorMessage
+      error: 'Failed to look up barcode',
+      code: 'BARCODE_LOOKUP_FAILED'
     });
   }
 });
 
+const sendInvalidRuleSet = (res, ruleSet) => res.status(400).json({
+  error: 'Invalid scoring rule set',
+  code: 'INVALID_RULE_SET',
+  message: `Unknown rule set "${ruleSet}"; available: ${scoringService.listRuleSets().map(set => set.name).join(', ')}`
+});
+
 // Get nutrition suggestions endpoint
 app.post('/api/nutrition-suggestions', jsonParser, async (req, res) => {
   try {
@@ -327,7 +746,30 @@ app.post('/api/nutrition-suggestions', jsonParser, async (req, res) => {
       });
     }
     
-    const suggestions = await nutritionService.generateSuggestions(foodItems, userGoals);
+    // userGoals with body measurements is a targets profile and must be complete
+    const isProfile = userGoals && typeof userGoals === 'object' &&
+      ['age', 'heightCm', 'weightKg'].some(field => userGoals[field] !== undefined);
+    const profileError = isProfile ? targetsService.validateProfile(userGoals) : null;
+    if (profileError) {
+      return res.status(400).json({
+        error: 'Invalid target profile',
+        code: 'INVALID_TARGET_PROFILE',
+        message: profileError
+      });
+    }
+    
+    const { ruleSet } = req.body;
+    if (ruleSet !== undefined && !scoringService.hasRuleSet(ruleSet)) {
+      return sendInvalidRuleSet(res, ruleSet);
+    }
+    
+    // Without userGoals the saved profile (X-User-Id) is used for today's targets
+    const userId = req.get('X-User-Id');
+    const targets = !userGoals && userId
+      ? await targetsService.getTargets(userId.trim(), { date: new Date().toISOString().slice(0, 10) })
+      : null;
+    
+    const suggestions = await nutritionService.generateSuggestions(foodItems, userGoals, { targets, ruleSet });
     
     res.json({
       success: true,
@@ -343,14 +785,46 @@ app.post('/api/nutrition-suggestions', jsonParser, async (req, res) => {
   }
 });
 
-// Estimate macros from food name endpoint
-app.post('/api/estimate-macros', jsonParser, async (req, res) => {
+// Food autocomplete over the nutrition database, canonical estimates and (with X-User-Id) the user's logged foods
+app.get('/api/foods/search', async (req, res) => {
   try {
-    const { foodName } = req.body;
-    
-    if (!foodName || typeof foodName !== 'string' || foodName.trim().length === 0) {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length === 0 || query.length > 100) {
       return res.status(400).json({
-        error: 'Food name is required',
+        error: 'Search query is required',
+        code: 'INVALID_QUERY',
+        message: 'Pass q with 1-100 characters'
+      });
+    }
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    
+    const results = await foodSearchService.search(query, {
+      userId: req.get('X-User-Id'),
+      limit
+    });
+    
+    res.json({
+      query,
+      count: results.length,
+      results
+    });
+  } catch (error) {
+    console.error('Error searching foods:', error);
+    res.status(500).json({
+      error: 'Failed to search foods',
+      code: 'FOOD_SEARCH_FAILED'
+    });
+  }
+});
+
+// Estimate macros from food name endpoint
+app.post('/api/estimate-macros', jsonParser, async (req, res) => {
+  try {
+    const { foodName } = req.body;
+    
+    if (!foodName || typeof foodName !== 'string' || foodName.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Food name is required',
         code: 'INVALID_FOOD_NAME'
       });
     }
@@ -359,11 +833,14 @@ app.post('/api/estimate-macros', jsonParser, async (req, res) => {
       console.log('🤖 Macro estimation request for:', foodName);
     }
     
-    const estimate = await chatGPTService.estimateMacrosFromName(foodName.trim());
+    // source says where the numbers came from: cache, database (canonical food table) or model
+    const { estimate, source, canonical } = await macroEstimateService.estimate(foodName.trim());
     
     res.json({
       success: true,
-      estimate
+      estimate,
+      source,
+      canonical
     });
     
   } catch (error) {
@@ -393,6 +870,122 @@ app.post('/api/estimate-macros', jsonParser, async (req, res) => {
   }
 });
 
+// Parse a free-text meal description into the same foods/totals/insights structure as /api/analyze-food
+app.post('/api/parse-meal', jsonParser, async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || text.trim().length === 0 || text.length > 1000) {
+      return res.status(400).json({
+        error: 'Meal text is required',
+        code: 'INVALID_MEAL_TEXT',
+        message: 'Send text with 1-1000 characters describing what was eaten'
+      });
+    }
+    
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('📝 Meal text parsing request:', text);
+    }
+    
+    const result = await mealParser.parse(text.trim(), { userId: req.get('X-User-Id') });
+    if (result.analysis.foods.length === 0) {
+      return res.status(422).json({
+        error: 'No foods found',
+        code: 'NO_FOODS_FOUND',
+        message: 'None of the items in the text could be resolved',
+        unresolved: result.analysis.unresolved
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('Error parsing meal text:', error);
+    res.status(500).json({
+      error: 'Failed to parse meal',
+      code: 'MEAL_PARSE_FAILED',
+      message: error.message
+    });
+  }
+});
+
+// Voice memo logging: transcribe the recording, then parse it like /api/parse-meal.
+// Returns the transcript alongside the foods so either can be corrected
+app.post('/api/voice-meal', audioUpload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No audio provided',
+        code: 'NO_AUDIO',
+        message: 'Upload the recording as multipart field "audio"'
+      });
+    }
+    
+    const language = (req.body && req.body.language) || req.query.language;
+    if (language !== undefined && !/^[a-z]{2}$/i.test(language)) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        code: 'INVALID_LANGUAGE',
+        message: 'language must be an ISO-639-1 code such as "en"'
+      });
+    }
+    
+    const result = await voiceMealService.parse({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype
+    }, {
+      language: language ? language.toLowerCase() : undefined,
+      userId: req.get('X-User-Id')
+    });
+    if (result.analysis.foods.length === 0) {
+      return res.status(422).json({
+        error: 'No foods found',
+        code: 'NO_FOODS_FOUND',
+        message: 'None of the items in the transcript could be resolved',
+        transcript: result.transcript,
+        unresolved: result.analysis.unresolved
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('Error logging voice meal:', error);
+    const { status, body } = describeAnalysisError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Client time zone (IANA name, e.g. "Europe/Berlin") and day start hour shared by the pattern routes;
+// returns { timeContext } or { error } with the 400 body
+const parseTimeContext = (body) => {
+  if (body.timeZone !== undefined && !isValidTimeZone(body.timeZone)) {
+    return {
+      error: {
+        error: 'Invalid time zone',
+        code: 'INVALID_TIMEZONE',
+        message: 'timeZone must be an IANA time zone name such as "America/New_York"'
+      }
+    };
+  }
+  if (body.dayStartHour !== undefined && parseDayStartHour(body.dayStartHour) === null) {
+    return {
+      error: {
+        error: 'Invalid day start hour',
+        code: 'INVALID_DAY_START_HOUR',
+        message: 'dayStartHour must be a whole hour from 0 to 23'
+      }
+    };
+  }
+  return { timeContext: createTimeContext({ timeZone: body.timeZone, dayStartHour: body.dayStartHour }) };
+};
+
 // Generate meal pattern summary endpoint
 app.post('/api/pattern-summary', jsonParser, async (req, res) => {
   const requestStartTime = Date.now();
@@ -410,7 +1003,25 @@ app.post('/api/pattern-summary', jsonParser, async (req, res) => {
   }, 70000); // 70 seconds
   
   try {
-    const { mealsToday } = req.body;
+    let { mealsToday } = req.body;
+    
+    const { timeContext, error: timeError } = parseTimeContext(req.body);
+    if (timeError) {
+      clearTimeout(requestTimeout);
+      return res.status(400).json(timeError);
+    }
+    
+    // Meals can also be read from the meal log instead of being resent by the app: one day
+    // ({ date: 'YYYY-MM-DD' } in the time context) or an explicit from/to window
+    const userId = req.get('X-User-Id');
+    if (!mealsToday && userId && /^\d{4}-\d{2}-\d{2}$/.test(req.body.date || '')) {
+      const meals = await mealLogService.listMeals(userId.trim(), timeContext.dayRange(req.body.date));
+      mealsToday = mealLogService.toPatternItems(meals)
+        .filter(item => (timeContext.dayOf(item.timestamp) || {}).date === req.body.date);
+    } else if (!mealsToday && userId && req.body.from && req.body.to) {
+      const meals = await mealLogService.listMeals(userId.trim(), { from: req.body.from, to: req.body.to });
+      mealsToday = mealLogService.toPatternItems(meals);
+    }
     
     if (process.env.NODE_ENV !== 'production') {
       console.log('📊 Pattern summary request received');
@@ -439,7 +1050,7 @@ app.post('/api/pattern-summary', jsonParser, async (req, res) => {
       console.log('📊 Calling patternSummaryService.generatePatternSummary...');
     }
     
-    const summary = await patternSummaryService.generatePatternSummary(mealsToday);
+    const summary = await patternSummaryService.generatePatternSummary(mealsToday, { mode: req.body.mode, timeContext });
     
     clearTimeout(requestTimeout);
     
@@ -475,6 +1086,643 @@ app.post('/api/pattern-summary', jsonParser, async (req, res) => {
   }
 });
 
+// Multi-day pattern summary: { days: 7 | 14 | 30, endDate?: 'YYYY-MM-DD', meals?, timeZone?, dayStartHour? }.
+// Without meals, the user's meal log (X-User-Id) is read for the range
+app.post('/api/pattern-summary/range', jsonParser, async (req, res) => {
+  const requestStartTime = Date.now();
+  
+  const requestTimeout = setTimeout(() => {
+    if (!res.headersSent) {
+      console.error('⏱️ Range pattern summary request timed out after 70 seconds');
+      res.status(504).json({
+        error: 'Request timeout',
+        code: 'PATTERN_SUMMARY_TIMEOUT',
+        message: 'Pattern summary generation took too long. Please try again.'
+      });
+    }
+  }, 70000);
+  
+  try {
+    const body = req.body || {};
+    const { timeContext, error: timeError } = parseTimeContext(body);
+    if (timeError) {
+      clearTimeout(requestTimeout);
+      return res.status(400).json(timeError);
+    }
+    const days = body.days === undefined ? 7 : Number(body.days);
+    const endDate = body.endDate || timeContext.today();
+    if (!patternSummaryService.RANGE_DAYS.includes(days) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) || isNaN(Date.parse(endDate))) {
+      clearTimeout(requestTimeout);
+      return res.status(400).json({
+        error: 'Invalid range',
+        code: 'INVALID_RANGE',
+        message: `days must be one of ${patternSummaryService.RANGE_DAYS.join(', ')} and endDate a YYYY-MM-DD date`
+      });
+    }
+    
+    let meals = body.meals;
+    const userId = req.get('X-User-Id');
+    if (!meals && userId) {
+      const { from, to } = timeContext.dayRange(addDays(endDate, -(days - 1)), endDate);
+      meals = mealLogService.toPatternItems(await mealLogService.listMeals(userId.trim(), { from, to }));
+    }
+    
+    if (!meals || !Array.isArray(meals)) {
+      clearTimeout(requestTimeout);
+      return res.status(400).json({
+        error: 'Invalid meals data provided',
+        code: 'INVALID_MEALS_DATA',
+        message: 'Send meals, or X-User-Id to read the meal log'
+      });
+    }
+    
+    const patterns = patternSummaryService.extractRangePatterns(meals, { days, endDate, timeContext });
+    if (patterns.range.days_logged === 0) {
+      clearTimeout(requestTimeout);
+      return res.status(400).json({
+        error: 'No meals provided',
+        code: 'NO_MEALS',
+        message: `No food items were logged between ${patterns.range.start_date} and ${patterns.range.end_date}`
+      });
+    }
+    
+    const summary = await patternSummaryService.generateRangeSummary(patterns, { mode: body.mode, items: meals });
+    clearTimeout(requestTimeout);
+    if (res.headersSent) {
+      return;
+    }
+    
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Range pattern summary generated successfully in ${Date.now() - requestStartTime}ms`);
+    }
+    
+    res.json({
+      success: true,
+      summary,
+      patterns
+    });
+    
+  } catch (error) {
+    clearTimeout(requestTimeout);
+    console.error('❌ Error generating range pattern summary:', error);
+    if (res.headersSent) {
+      return;
+    }
+    res.status(500).json({
+      error: 'Failed to generate pattern summary',
+      code: 'PATTERN_SUMMARY_FAILED',
+      message: error.message
+    });
+  }
+});
+
+// Meal log routes are keyed by the X-User-Id header sent by the app
+const requireUserId = (req, res, next) => {
+  const userId = req.get('X-User-Id');
+  if (!userId || userId.trim().length === 0) {
+    return res.status(400).json({
+      error: 'User ID is required',
+      code: 'MISSING_USER_ID',
+      message: 'Send the user identifier in the X-User-Id header'
+    });
+  }
+  req.userId = userId.trim();
+  next();
+};
+
+const validateMealInput = (body, { partial = false } = {}) => {
+  if (!partial || body.foods !== undefined) {
+    if (!Array.isArray(body.foods) || body.foods.length === 0) {
+      return 'foods must be a non-empty array';
+    }
+    if (body.foods.some(food => !food || typeof food.name !== 'string' || food.name.trim().length === 0)) {
+      return 'Every food must have a name';
+    }
+  }
+  if (body.timestamp !== undefined && isNaN(Date.parse(body.timestamp))) {
+    return 'timestamp must be an ISO 8601 date';
+  }
+  if (body.mealType !== undefined && !mealLogService.MEAL_TYPES.includes(String(body.mealType).toLowerCase())) {
+    return `mealType must be one of: ${mealLogService.MEAL_TYPES.join(', ')}`;
+  }
+  return null;
+};
+
+// Create a meal log entry (optionally linked to an analysisId from /api/analyze-food)
+app.post('/api/meals', jsonParser, requireUserId, async (req, res) => {
+  try {
+    const body = { ...req.body };
+    
+    // Logging a stored analysis only needs its analysisId
+    if (body.analysisId && body.foods === undefined) {
+      // Another user's analysis is reported as missing, like their meals
+      const record = await analysisStore.getAnalysis(body.analysisId, req.userId);
+      if (!record) {
+        return res.status(404).json({
+          error: 'Analysis not found',
+          code: 'ANALYSIS_NOT_FOUND',
+          message: 'The analysis does not exist or is past its retention window'
+        });
+      }
+      body.foods = record.analysis.foods;
+    }
+    
+    const validationError = validateMealInput(body);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid meal data',
+        code: 'INVALID_MEAL_DATA',
+        message: validationError
+      });
+    }
+
+    const meal = await mealLogService.createMeal(req.userId, body);
+
+    res.status(201).json({
+      success: true,
+      meal
+    });
+
+  } catch (error) {
+    console.error('Error creating meal:', error);
+    res.status(500).json({
+      error: 'Failed to create meal',
+      code: 'MEAL_CREATE_FAILED'
+    });
+  }
+});
+
+// List meals, optionally filtered by ?from=&to= (ISO 8601, inclusive)
+app.get('/api/meals', requireUserId, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        code: 'INVALID_DATE_RANGE',
+        message: 'from and to must be ISO 8601 dates'
+      });
+    }
+
+    const meals = await mealLogService.listMeals(req.userId, { from, to });
+
+    res.json({
+      success: true,
+      meals
+    });
+
+  } catch (error) {
+    console.error('Error listing meals:', error);
+    res.status(500).json({
+      error: 'Failed to list meals',
+      code: 'MEAL_LIST_FAILED'
+    });
+  }
+});
+
+app.get('/api/meals/:id', requireUserId, async (req, res) => {
+  try {
+    const meal = await mealLogService.getMeal(req.userId, req.params.id);
+    if (!meal) {
+      return res.status(404).json({
+        error: 'Meal not found',
+        code: 'MEAL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      meal
+    });
+
+  } catch (error) {
+    console.error('Error fetching meal:', error);
+    res.status(500).json({
+      error: 'Failed to fetch meal',
+      code: 'MEAL_FETCH_FAILED'
+    });
+  }
+});
+
+// Correct a logged meal; totals are recalculated when foods change
+app.patch('/api/meals/:id', jsonParser, requireUserId, async (req, res) => {
+  try {
+    const validationError = validateMealInput(req.body || {}, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid meal data',
+        code: 'INVALID_MEAL_DATA',
+        message: validationError
+      });
+    }
+
+    const meal = await mealLogService.updateMeal(req.userId, req.params.id, req.body);
+    if (!meal) {
+      return res.status(404).json({
+        error: 'Meal not found',
+        code: 'MEAL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      meal
+    });
+
+  } catch (error) {
+    console.error('Error updating meal:', error);
+    res.status(500).json({
+      error: 'Failed to update meal',
+      code: 'MEAL_UPDATE_FAILED'
+    });
+  }
+});
+
+app.delete('/api/meals/:id', requireUserId, async (req, res) => {
+  try {
+    const deleted = await mealLogService.deleteMeal(req.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Meal not found',
+        code: 'MEAL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting meal:', error);
+    res.status(500).json({
+      error: 'Failed to delete meal',
+      code: 'MEAL_DELETE_FAILED'
+    });
+  }
+});
+
+const MAX_RECIPE_INGREDIENTS = 100;
+
+const validateRecipeInput = (body, { partial = false } = {}) => {
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      return 'name is required';
+    }
+  }
+  if (!partial || body.servings !== undefined) {
+    if (typeof body.servings !== 'number' || !(body.servings > 0) || body.servings > 1000) {
+      return 'servings must be a positive number';
+    }
+  }
+  if (!partial || body.ingredients !== undefined) {
+    if (!Array.isArray(body.ingredients) || body.ingredients.length === 0 || body.ingredients.length > MAX_RECIPE_INGREDIENTS) {
+      return `ingredients must be an array of 1-${MAX_RECIPE_INGREDIENTS} lines`;
+    }
+    const validLine = line => (typeof line === 'string' && line.trim().length > 0) ||
+      (line && typeof line === 'object' && typeof line.name === 'string' && line.name.trim().length > 0);
+    if (!body.ingredients.every(validLine)) {
+      return 'Every ingredient must be a line of text or an object with a name (and optional quantity)';
+    }
+  }
+  return null;
+};
+
+// Create a recipe; ingredient lines are resolved to nutrients and unresolved lines are reported
+app.post('/api/recipes', jsonParser, requireUserId, async (req, res) => {
+  try {
+    const validationError = validateRecipeInput(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid recipe data',
+        code: 'INVALID_RECIPE_DATA',
+        message: validationError
+      });
+    }
+
+    const recipe = await recipeService.createRecipe(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      recipe
+    });
+
+  } catch (error) {
+    console.error('Error creating recipe:', error);
+    res.status(500).json({
+      error: 'Failed to create recipe',
+      code: 'RECIPE_CREATE_FAILED'
+    });
+  }
+});
+
+app.get('/api/recipes', requireUserId, async (req, res) => {
+  try {
+    const recipes = await recipeService.listRecipes(req.userId);
+
+    res.json({
+      success: true,
+      recipes
+    });
+
+  } catch (error) {
+    console.error('Error listing recipes:', error);
+    res.status(500).json({
+      error: 'Failed to list recipes',
+      code: 'RECIPE_LIST_FAILED'
+    });
+  }
+});
+
+app.get('/api/recipes/:id', requireUserId, async (req, res) => {
+  try {
+    const recipe = await recipeService.getRecipe(req.userId, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Recipe not found',
+        code: 'RECIPE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      recipe
+    });
+
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recipe',
+      code: 'RECIPE_FETCH_FAILED'
+    });
+  }
+});
+
+// Edit a recipe; changed ingredient lines are resolved again and totals recalculated
+app.patch('/api/recipes/:id', jsonParser, requireUserId, async (req, res) => {
+  try {
+    const validationError = validateRecipeInput(req.body || {}, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid recipe data',
+        code: 'INVALID_RECIPE_DATA',
+        message: validationError
+      });
+    }
+
+    const recipe = await recipeService.updateRecipe(req.userId, req.params.id, req.body);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Recipe not found',
+        code: 'RECIPE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      recipe
+    });
+
+  } catch (error) {
+    console.error('Error updating recipe:', error);
+    res.status(500).json({
+      error: 'Failed to update recipe',
+      code: 'RECIPE_UPDATE_FAILED'
+    });
+  }
+});
+
+app.delete('/api/recipes/:id', requireUserId, async (req, res) => {
+  try {
+    const deleted = await recipeService.deleteRecipe(req.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Recipe not found',
+        code: 'RECIPE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({
+      error: 'Failed to delete recipe',
+      code: 'RECIPE_DELETE_FAILED'
+    });
+  }
+});
+
+// Log a portion of a recipe as a meal; servings may be fractional (0.5 = half a serving)
+app.post('/api/recipes/:id/log', jsonParser, requireUserId, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const servings = body.servings === undefined ? 1 : body.servings;
+    if (typeof servings !== 'number' || !(servings > 0) || servings > 100) {
+      return res.status(400).json({
+        error: 'Invalid servings',
+        code: 'INVALID_SERVINGS',
+        message: 'servings must be a positive number'
+      });
+    }
+    const validationError = validateMealInput(body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid meal data',
+        code: 'INVALID_MEAL_DATA',
+        message: validationError
+      });
+    }
+
+    const meal = await recipeService.logRecipe(req.userId, req.params.id, {
+      servings,
+      mealType: body.mealType,
+      timestamp: body.timestamp,
+      notes: body.notes
+    });
+    if (!meal) {
+      return res.status(404).json({
+        error: 'Recipe not found',
+        code: 'RECIPE_NOT_FOUND'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      meal
+    });
+
+  } catch (error) {
+    console.error('Error logging recipe:', error);
+    res.status(500).json({
+      error: 'Failed to log recipe',
+      code: 'RECIPE_LOG_FAILED'
+    });
+  }
+});
+
+// Daily calorie and macro targets. A profile is { age, sex, heightCm, weightKg, activityLevel?, goal?,
+// goalRateKgPerWeek?, bodyFatPercent?, proteinPerKg?, fatPercent?, mealsPerDay?, dayTypes?, schedule? };
+// dayTypes hold per-day overrides (e.g. training vs rest) and schedule maps weekdays to them
+const sendInvalidTargetProfile = (res, message) => res.status(400).json({
+  error: 'Invalid target profile',
+  code: 'INVALID_TARGET_PROFILE',
+  message
+});
+
+const sendInvalidTargetDay = (res, message) => res.status(400).json({
+  error: 'Invalid target day',
+  code: 'INVALID_TARGET_DAY',
+  message
+});
+
+// Options for one day: ?date=YYYY-MM-DD picks the scheduled day type, ?dayType= names one directly
+const parseTargetDay = (source, profile) => {
+  const { date, dayType } = source;
+  if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+    return { error: 'date must be a YYYY-MM-DD date' };
+  }
+  if (dayType !== undefined && dayType !== 'default' && !(profile.dayTypes && profile.dayTypes[dayType])) {
+    return { error: `Unknown day type "${dayType}"` };
+  }
+  return { options: { date, dayType } };
+};
+
+// Targets for a profile in the body, without saving it
+app.post('/api/targets/calculate', jsonParser, (req, res) => {
+  try {
+    const body = req.body || {};
+    const profileError = targetsService.validateProfile(body.profile);
+    if (profileError) {
+      return sendInvalidTargetProfile(res, profileError);
+    }
+    const { options, error } = parseTargetDay(body, body.profile);
+    if (error) {
+      return sendInvalidTargetDay(res, error);
+    }
+
+    res.json({
+      success: true,
+      targets: targetsService.calculateTargets(body.profile, options)
+    });
+
+  } catch (error) {
+    console.error('Error calculating targets:', error);
+    res.status(500).json({
+      error: 'Failed to calculate targets',
+      code: 'TARGETS_FAILED'
+    });
+  }
+});
+
+// Save the user's profile; used by /api/targets and by suggestions sent without userGoals
+app.put('/api/targets', jsonParser, requireUserId, async (req, res) => {
+  try {
+    const profile = req.body || {};
+    const profileError = targetsService.validateProfile(profile);
+    if (profileError) {
+      return sendInvalidTargetProfile(res, profileError);
+    }
+
+    const saved = await targetsService.saveProfile(req.userId, profile);
+
+    res.json({
+      success: true,
+      profile: saved,
+      targets: targetsService.calculateTargets(saved, { date: new Date().toISOString().slice(0, 10) })
+    });
+
+  } catch (error) {
+    console.error('Error saving target profile:', error);
+    res.status(500).json({
+      error: 'Failed to save target profile',
+      code: 'TARGETS_SAVE_FAILED'
+    });
+  }
+});
+
+// Targets from the saved profile for ?date= (default today) or ?dayType=
+app.get('/api/targets', requireUserId, async (req, res) => {
+  try {
+    const profile = await targetsService.getProfile(req.userId);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Target profile not found',
+        code: 'TARGETS_PROFILE_NOT_FOUND',
+        message: 'Save a profile with PUT /api/targets first'
+      });
+    }
+    const { options, error } = parseTargetDay({
+      date: req.query.date || new Date().toISOString().slice(0, 10),
+      dayType: req.query.dayType
+    }, profile);
+    if (error) {
+      return sendInvalidTargetDay(res, error);
+    }
+
+    res.json({
+      success: true,
+      profile,
+      targets: targetsService.calculateTargets(profile, options)
+    });
+
+  } catch (error) {
+    console.error('Error getting targets:', error);
+    res.status(500).json({
+      error: 'Failed to get targets',
+      code: 'TARGETS_FAILED'
+    });
+  }
+});
+
+// Scoring rule sets available for ruleSet / scoringRuleSet
+app.get('/api/scores/rule-sets', (req, res) => {
+  res.json({
+    success: true,
+    ruleSets: scoringService.listRuleSets()
+  });
+});
+
+// Daily score for ?date=YYYY-MM-DD (default today) from the meal log, against the saved targets
+// (2000 kcal maintenance without a profile); ?timeZone= and ?dayStartHour= set the day boundaries
+app.get('/api/scores/daily', requireUserId, async (req, res) => {
+  try {
+    const { timeContext, error: timeError } = parseTimeContext(req.query);
+    if (timeError) {
+      return res.status(400).json(timeError);
+    }
+    const date = req.query.date || timeContext.today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        code: 'INVALID_DATE',
+        message: 'date must be a YYYY-MM-DD date'
+      });
+    }
+    if (req.query.ruleSet !== undefined && !scoringService.hasRuleSet(req.query.ruleSet)) {
+      return sendInvalidRuleSet(res, req.query.ruleSet);
+    }
+
+    const meals = (await mealLogService.listMeals(req.userId, timeContext.dayRange(date)))
+      .filter(meal => (timeContext.dayOf(meal.localTimestamp || meal.timestamp) || {}).date === date);
+    const targets = await targetsService.getTargets(req.userId, { date }) || targetsService.resolveTargets();
+
+    res.json({
+      success: true,
+      score: scoringService.scoreDay(meals, targets, { ruleSet: req.query.ruleSet, date }),
+      targets
+    });
+
+  } catch (error) {
+    console.error('Error scoring day:', error);
+    res.status(500).json({
+      error: 'Failed to score day',
+      code: 'DAILY_SCORE_FAILED'
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('❌ Unhandled error:', error);
@@ -490,6 +1738,13 @@ app.use((error, req, res, next) => {
         code: 'FILE_TOO_LARGE'
       });
     }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'image') {
+      return res.status(400).json({
+        error: 'Too many images',
+        code: 'TOO_MANY_IMAGES',
+        message: `Upload at most ${MAX_IMAGES_PER_ANALYSIS} images per analysis`
+      });
+    }
     // Handle other multer errors
     return res.status(400).json({
       error: 'File upload error',
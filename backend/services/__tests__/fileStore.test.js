@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../fileStore');
+
+describe('FileStore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filestore-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('writes changes to disk', async () => {
+    const store = new FileStore('items', { dataDir: tmpDir });
+    await store.set('a', { n: 1 });
+    await store.set('b', { n: 2 });
+    expect(await store.delete('a')).toBe(true);
+
+    const reloaded = new FileStore('items', { dataDir: tmpDir });
+    expect(await reloaded.find()).toEqual([{ n: 2 }]);
+  });
+
+  test('keeps memory unchanged when the write fails', async () => {
+    // A data directory below a regular file can never be created
+    const blocker = path.join(tmpDir, 'blocker');
+    fs.writeFileSync(blocker, '');
+    const store = new FileStore('items', { dataDir: path.join(blocker, 'data') });
+
+    await expect(store.set('a', { n: 1 })).rejects.toThrow();
+    expect(await store.get('a')).toBeNull();
+    expect(await store.find()).toEqual([]);
+  });
+
+  test('a failed write does not block later ones', async () => {
+    const store = new FileStore('items', { dataDir: tmpDir });
+    await store.set('a', { n: 1 });
+    const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(store.deleteWhere(() => true)).rejects.toThrow('disk full');
+    expect(await store.get('a')).toEqual({ n: 1 });
+
+    rename.mockRestore();
+    await store.set('b', { n: 2 });
+    const reloaded = new FileStore('items', { dataDir: tmpDir });
+    expect((await reloaded.find()).length).toBe(2);
+  });
+
+  test('findBy reads records through the field index', async () => {
+    const store = new FileStore('meals', { dataDir: tmpDir, indexBy: ['userId'] });
+    await store.set('1', { userId: 'alice', n: 1 });
+    await store.set('2', { userId: 'bob', n: 2 });
+    await store.set('3', { userId: 'alice', n: 3 });
+    await store.delete('1');
+
+    expect(await store.findBy('userId', 'alice')).toEqual([{ userId: 'alice', n: 3 }]);
+    expect(await store.findBy('userId', 'bob', record => record.n > 5)).toEqual([]);
+    expect(await store.findBy('userId', 'carol')).toEqual([]);
+    await expect(store.findBy('n', 2)).rejects.toThrow('not indexed');
+
+    const reloaded = new FileStore('meals', { dataDir: tmpDir, indexBy: ['userId'] });
+    expect(await reloaded.findBy('userId', 'bob')).toEqual([{ userId: 'bob', n: 2 }]);
+  });
+});
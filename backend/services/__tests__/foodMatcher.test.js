@@ -0,0 +1,51 @@
+const NutritionDatabase = require('../nutritionDatabase');
+const FoodMatcher = require('../foodMatcher');
+
+function buildMatcher(extraNames = []) {
+  const database = new NutritionDatabase();
+  database.loadFlatCsv(NutritionDatabase.BUNDLED_DATA_PATH);
+  extraNames.forEach(name => database.add({ name }));
+  return new FoodMatcher(database);
+}
+
+describe('FoodMatcher', () => {
+  const matcher = buildMatcher(['parmesan cheese']);
+
+  test.each([
+    ['grilled salmon fillet', 'salmon'],
+    ['chiken breast', 'chicken breast'],
+    ['greek yoghurt', 'greek yogurt'],
+    ['chicken breast with rice', 'chicken breast'],
+    ['cheddar', 'cheddar cheese'],
+    ['chicken', 'chicken thigh']
+  ])('matches "%s" to %s', (query, expected) => {
+    expect(matcher.findBestMatch(query)).toMatchObject({ name: expected });
+  });
+
+  // The query's head noun matched a candidate modifier, or a word naming the kind of food went unmatched
+  test.each([
+    ['pineapple', 'apple'],
+    ['ice cream', 'cream cheese'],
+    ['coconut milk', 'whole milk'],
+    ['eggplant parmesan', 'parmesan cheese'],
+    ['eggplant parmesan', 'parmesan'],
+    ['milk chocolate', 'dark chocolate'],
+    ['butter chicken', 'chicken thigh'],
+    ['fried rice', 'brown rice'],
+    ['mozzarella cheese', 'cream cheese']
+  ])('does not verify "%s" as %s', (query, wrongMatch) => {
+    const best = matcher.findBestMatch(query);
+    expect(best === null || best.name !== wrongMatch).toBe(true);
+    const candidate = matcher.findCandidates(query, { limit: 20 }).find(entry => entry.name === wrongMatch);
+    if (candidate) {
+      expect(candidate.score).toBeLessThan(matcher.minScore);
+    }
+  });
+
+  test('prefers the exact dish when it is in the database', () => {
+    const withDishes = buildMatcher(['ice cream', 'coconut milk', 'fried rice']);
+    expect(withDishes.findBestMatch('ice cream')).toEqual({ name: 'ice cream', score: 1 });
+    expect(withDishes.findBestMatch('coconut milk')).toEqual({ name: 'coconut milk', score: 1 });
+    expect(withDishes.findBestMatch('fried rice')).toEqual({ name: 'fried rice', score: 1 });
+  });
+});
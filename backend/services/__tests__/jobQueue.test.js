@@ -0,0 +1,105 @@
+const http = require('http');
+const { JobQueue } = require('../jobQueue');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkCallbackUrl', () => {
+  const queue = new JobQueue();
+
+  test.each([
+    'http://127.0.0.1/hook',
+    'http://localhost:4001/hook',
+    'http://10.0.0.5/hook',
+    'http://172.20.1.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://0.0.0.0/hook'
+  ])('refuses %s', async callbackUrl => {
+    expect(await queue.checkCallbackUrl(callbackUrl)).toMatch(/loopback, private or link-local/);
+  });
+
+  test('accepts a public address', async () => {
+    expect(await queue.checkCallbackUrl('https://93.184.216.34/hook')).toBeNull();
+  });
+
+  test('refuses other protocols', async () => {
+    expect(await queue.checkCallbackUrl('ftp://93.184.216.34/hook')).toMatch(/http or https/);
+  });
+
+  test('trusts only the configured hosts when an allowlist is set', async () => {
+    const allowlisted = new JobQueue();
+    allowlisted.callbackAllowedHosts = ['localhost'];
+    expect(await allowlisted.checkCallbackUrl('http://localhost:4001/hook')).toBeNull();
+    expect(await allowlisted.checkCallbackUrl('https://93.184.216.34/hook')).toMatch(/must be one of/);
+  });
+});
+
+describe('getJob', () => {
+  test('hides jobs owned by another user', () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    queue.running = 1; // keep the job queued
+    const owned = queue.enqueue(async () => null, { userId: 'alice' });
+    const anonymous = queue.enqueue(async () => null);
+
+    expect(queue.getJob(owned.id, 'alice')).toBe(owned);
+    expect(queue.getJob(owned.id, 'bob')).toBeNull();
+    expect(queue.getJob(owned.id)).toBeNull();
+    expect(queue.getJob(anonymous.id)).toBe(anonymous);
+  });
+});
+
+describe('enqueue', () => {
+  test('refuses jobs once the held upload bytes reach the cap', () => {
+    const queue = new JobQueue({ concurrency: 1, maxHeldMb: 1 });
+    queue.running = 1; // keep jobs queued
+    expect(queue.enqueue(async () => null, { bytes: 600 * 1024 })).not.toBeNull();
+    expect(queue.enqueue(async () => null, { bytes: 600 * 1024 })).toBeNull();
+
+    const [job] = queue.pending;
+    queue.cancel(job.id);
+    expect(queue.heldBytes).toBe(0);
+    expect(queue.enqueue(async () => null, { bytes: 600 * 1024 })).not.toBeNull();
+  });
+});
+
+describe('postJson', () => {
+  let server;
+  let received;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { host: req.headers.host, body: JSON.parse(body) };
+        res.end('ok');
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  // The host name is never resolved again: the request goes to the address that was checked
+  test('connects to the checked address, not a fresh DNS answer', async () => {
+    const queue = new JobQueue();
+    const { port } = server.address();
+    const url = new URL(`http://callback.invalid:${port}/hook`);
+    const status = await queue.postJson({ url, address: '127.0.0.1', family: 4 }, { jobId: 'a' });
+
+    expect(status).toBe(200);
+    expect(received).toEqual({ host: `callback.invalid:${port}`, body: { jobId: 'a' } });
+  });
+});
@@ -0,0 +1,42 @@
+const { pickNutrients, scaleNutrients, sumNutrients } = require('../nutrientSchema');
+
+describe('pickNutrients', () => {
+  test('missing macros are 0 and missing micronutrients are unknown', () => {
+    const nutrients = pickNutrients({ calories: 120, protein: '4.5', sodium: 80, iron: null, calcium: '' });
+    expect(nutrients).toMatchObject({ calories: 120, protein: 4.5, carbs: 0, fat: 0, fiber: 0, sodium: 80 });
+    expect(nutrients.iron).toBeNull();
+    expect(nutrients.calcium).toBeNull();
+    expect(nutrients.vitamin_d).toBeNull();
+  });
+});
+
+describe('scaleNutrients', () => {
+  test('scales known values and keeps unknown ones null', () => {
+    const scaled = scaleNutrients({ calories: 100, protein: 10, sodium: 50 }, 1.5);
+    expect(scaled).toMatchObject({ calories: 150, protein: 15, sodium: 75, potassium: null });
+  });
+});
+
+describe('sumNutrients', () => {
+  test('reports micronutrients only some foods carry as partial', () => {
+    const totals = sumNutrients([
+      { calories: 100, protein: 5, sodium: 200, iron: 1 },
+      { calories: 50, protein: 2, sodium: 40 }
+    ]);
+    expect(totals).toMatchObject({ calories: 150, protein: 7, sodium: 240, iron: 1, vitamin_c: null });
+    expect(totals.partialNutrients).toEqual(['iron']);
+  });
+
+  test('keeps partial coverage when summing meal totals', () => {
+    const day = sumNutrients([
+      { calories: 400, iron: 2, partialNutrients: ['iron'] },
+      { calories: 300, iron: 1, partialNutrients: [] }
+    ]);
+    expect(day.iron).toBe(3);
+    expect(day.partialNutrients).toEqual(['iron']);
+  });
+
+  test('an empty list totals zero', () => {
+    expect(sumNutrients([])).toMatchObject({ calories: 0, sodium: 0, partialNutrients: [] });
+  });
+});
@@ -0,0 +1,115 @@
+const { blendNutrients, getStrategyName } = require('../nutritionBlend');
+
+const MACROS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+const DATABASE = { calories: 200, protein: 20, carbs: 10, fat: 8, fiber: 4 };
+const MODEL = { calories: 300, protein: 30, carbs: 30, fat: 12, fiber: 2 };
+
+describe('blendNutrients', () => {
+  describe.each(MACROS)('%s', field => {
+    test('database strategy uses the database value', () => {
+      const blended = blendNutrients(DATABASE, MODEL, { strategy: 'database', confidence: 0.9, fields: MACROS });
+      expect(blended[field]).toBe(DATABASE[field]);
+    });
+
+    test('model strategy keeps the model value', () => {
+      const blended = blendNutrients(DATABASE, MODEL, { strategy: 'model', confidence: 0.9, fields: MACROS });
+      expect(blended[field]).toBe(MODEL[field]);
+    });
+
+    test('weighted strategy weights the database by confidence', () => {
+      const blended = blendNutrients(DATABASE, MODEL, { strategy: 'weighted', confidence: 0.75, fields: MACROS });
+      expect(blended[field]).toBeCloseTo(DATABASE[field] * 0.75 + MODEL[field] * 0.25, 0);
+    });
+
+    test.each(['database', 'model', 'weighted'])('a missing or null model value falls back to the database (%s)', strategy => {
+      const withoutField = { ...MODEL };
+      delete withoutField[field];
+      expect(blendNutrients(DATABASE, withoutField, { strategy, fields: MACROS })[field]).toBe(DATABASE[field]);
+      expect(blendNutrients(DATABASE, { ...MODEL, [field]: null }, { strategy, fields: MACROS })[field]).toBe(DATABASE[field]);
+    });
+  });
+
+  test('a model value of 0 is kept', () => {
+    expect(blendNutrients(DATABASE, { ...MODEL, fiber: 0 }, { strategy: 'model', fields: MACROS }).fiber).toBe(0);
+  });
+
+  test('confidence is clamped to 0-1', () => {
+    expect(blendNutrients(DATABASE, MODEL, { strategy: 'weighted', confidence: 1.7, fields: MACROS })).toEqual(DATABASE);
+    expect(blendNutrients(DATABASE, MODEL, { strategy: 'weighted', confidence: -0.4, fields: MACROS })).toEqual(MODEL);
+  });
+
+  test('a confidence of 0 trusts the model completely', () => {
+    expect(blendNutrients(DATABASE, MODEL, { strategy: 'weighted', confidence: 0, fields: MACROS })).toEqual(MODEL);
+  });
+
+  test('rejects an unknown strategy', () => {
+    expect(() => blendNutrients(DATABASE, MODEL, { strategy: 'average' })).toThrow('Unknown blend strategy "average"');
+  });
+});
+
+describe('getStrategyName', () => {
+  const original = process.env.NUTRITION_BLEND_STRATEGY;
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.NUTRITION_BLEND_STRATEGY;
+    } else {
+      process.env.NUTRITION_BLEND_STRATEGY = original;
+    }
+  });
+
+  test('defaults to weighted and falls back to it for unknown names', () => {
+    delete process.env.NUTRITION_BLEND_STRATEGY;
+    expect(getStrategyName()).toBe('weighted');
+    process.env.NUTRITION_BLEND_STRATEGY = 'Database';
+    expect(getStrategyName()).toBe('database');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.NUTRITION_BLEND_STRATEGY = 'median';
+    expect(getStrategyName()).toBe('weighted');
+    console.error.mockRestore();
+  });
+});
+
+describe('enhanceWithNutritionData', () => {
+  let nutritionService;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    nutritionService = require('../nutritionService');
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  // Regression: "1 pat" has no weight, and the small-portion guess of 100g turned one pat into
+  // 100g of butter (~720 kcal, 81g fat) once the database values were scaled and blended in
+  test('keeps the model values when the serving weight is only a portion estimate', async () => {
+    const { foods } = await nutritionService.enhanceWithNutritionData({
+      foods: [{ name: 'butter', serving_size: '1 pat', portion_size: 'small', calories: 35, fat: 4, confidence: 0.9 }]
+    });
+    expect(foods[0]).toMatchObject({
+      calories: 35,
+      fat: 4,
+      serving_grams_method: 'portion_estimate',
+      verified: false,
+      match: { name: 'butter' }
+    });
+    expect(foods[0].blend_strategy).toBeUndefined();
+  });
+
+  test('reports the match without blending when the serving cannot be parsed', async () => {
+    const { foods } = await nutritionService.enhanceWithNutritionData({
+      foods: [{ name: 'butter', serving_size: 'a little', calories: 35, fat: 4, confidence: 0.9 }]
+    });
+    expect(foods[0]).toMatchObject({ calories: 35, fat: 4, serving_grams: null, verified: false, match: { name: 'butter' } });
+  });
+
+  test('blends database values scaled to a measured serving', async () => {
+    const { foods } = await nutritionService.enhanceWithNutritionData({
+      foods: [{ name: 'butter', serving_size: '1 tbsp', calories: 100, fat: 11, confidence: 0.9 }]
+    });
+    expect(foods[0]).toMatchObject({ serving_grams_method: 'volume', verified: true, match: { name: 'butter' } });
+    expect(foods[0].calories).toBeGreaterThan(90);
+    expect(foods[0].calories).toBeLessThan(120);
+  });
+});
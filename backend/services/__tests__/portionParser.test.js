@@ -0,0 +1,41 @@
+const { parseServingSize, parseIngredientLine } = require('../portionParser');
+
+describe('parseServingSize', () => {
+  test.each([
+    ['1 chicken breast (170g)', 'chicken breast', { grams: 170, method: 'mass' }],
+    ['1 cup of rice', 'brown rice', { grams: 195, method: 'volume' }],
+    ['1 plate of pasta', 'pasta', { grams: 350, method: 'container' }],
+    ['2 large eggs', 'eggs', { grams: 100, method: 'count' }],
+    ['3 egg whites', 'egg whites', { grams: 99, method: 'count' }],
+    ['1 medium banana', 'banana', { grams: 118, method: 'count' }],
+    ['1 sweet potato', 'sweet potato', { grams: 114, method: 'count' }],
+    ['2 slices of toast', 'toast', { grams: 60, method: 'count' }]
+  ])('"%s" (%s)', (servingSize, foodName, expected) => {
+    expect(parseServingSize(servingSize, foodName)).toEqual(expected);
+  });
+
+  // Piece weights follow the food's head noun, not any food word in the text
+  test('weighs a bagel with cream cheese as a bagel', () => {
+    expect(parseServingSize('1 bagel with cream cheese', 'bagel with cream cheese')).toEqual({ grams: 105, method: 'count' });
+  });
+
+  test.each([
+    ['1 ham and cheese sandwich', 'ham and cheese sandwich'],
+    ['1 large apple pie slice', 'apple pie']
+  ])('does not guess a piece weight for "%s"', (servingSize, foodName) => {
+    expect(parseServingSize(servingSize, foodName)).toBeNull();
+    expect(parseServingSize(servingSize, foodName, 'medium')).toEqual({ grams: 200, method: 'portion_estimate' });
+  });
+
+  // A flat guess from the portion size only; nutritionService must not scale database values by it
+  test('a pat of butter is only a portion estimate', () => {
+    expect(parseServingSize('1 pat', 'butter', 'small')).toEqual({ grams: 100, method: 'portion_estimate' });
+  });
+});
+
+describe('parseIngredientLine', () => {
+  test('splits the quantity from the food name', () => {
+    expect(parseIngredientLine('2 cups cooked brown rice')).toEqual({ quantity: '2 cups', name: 'cooked brown rice' });
+    expect(parseIngredientLine('3 large eggs')).toEqual({ quantity: '3 large', name: 'eggs' });
+  });
+});
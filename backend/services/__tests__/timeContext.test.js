@@ -0,0 +1,45 @@
+const { createTimeContext } = require('../timeContext');
+
+describe('createTimeContext', () => {
+  const originalZone = process.env.DEFAULT_TIME_ZONE;
+
+  afterEach(() => {
+    if (originalZone === undefined) {
+      delete process.env.DEFAULT_TIME_ZONE;
+    } else {
+      process.env.DEFAULT_TIME_ZONE = originalZone;
+    }
+  });
+
+  test('converts timestamps to the requested zone', () => {
+    const context = createTimeContext({ timeZone: 'America/New_York' });
+    expect(context.clock('2024-03-10T12:30:00Z')).toEqual({ date: '2024-03-10', minutes: 8 * 60 + 30 });
+    expect(context.formatTime('2024-03-09T23:30:00-05:00')).toBe('11:30 PM');
+  });
+
+  // Without a zone the server's zone is used through the same conversion, not the offset in the text
+  test('falls back to the server zone when none is given', () => {
+    delete process.env.DEFAULT_TIME_ZONE;
+    const serverZone = new Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const context = createTimeContext();
+    const reference = createTimeContext({ timeZone: serverZone });
+
+    expect(context.timeZone).toBe(serverZone);
+    ['2024-05-01T23:30:00-05:00', '2024-05-01T08:15:00+09:00', '2024-05-01T07:00:00'].forEach(timestamp => {
+      expect(context.dayOf(timestamp)).toEqual(reference.dayOf(timestamp));
+    });
+    expect(context.dayRange('2024-05-01')).toEqual(reference.dayRange('2024-05-01'));
+  });
+
+  test('uses DEFAULT_TIME_ZONE and ignores invalid zones', () => {
+    process.env.DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+    expect(createTimeContext().timeZone).toBe('Asia/Tokyo');
+    expect(createTimeContext({ timeZone: 'Not/AZone' }).timeZone).toBe('Asia/Tokyo');
+  });
+
+  test('dayStartHour moves early food to the previous day', () => {
+    const context = createTimeContext({ timeZone: 'UTC', dayStartHour: 4 });
+    expect(context.dayOf('2024-05-02T02:30:00Z')).toEqual({ date: '2024-05-01', minutes: 22 * 60 + 30 });
+    expect(context.dayRange('2024-05-01')).toEqual({ from: '2024-05-01T04:00:00.000Z', to: '2024-05-02T03:59:59.999Z' });
+  });
+});
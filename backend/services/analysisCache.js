@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const FileStore = require('./fileStore');
+
+const MINUTE_MS = 60 * 1000;
+
+// A numeric env var, or the default when it is unset, empty or not a number
+function numberFromEnv(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+// Difference hash: 9x8 greyscale thumbnail, one bit per horizontally adjacent pixel pair.
+// Re-encoded or slightly re-cropped copies of a photo land within a few bits of each other
+async function perceptualHash(imageBuffer) {
+  const pixels = await sharp(imageBuffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// Enhanced analyses keyed by the processed images, so re-uploads (retries after a timeout,
+// double-taps) skip the vision call. Exact matches use a SHA-256 of the processed sharp buffers.
+// Near-duplicates (perceptual hashes within ANALYSIS_CACHE_MAX_DISTANCE bits) are opt-in and only
+// match the same user's earlier uploads, since a similar-looking photo can be a different meal
+class AnalysisCache {
+  constructor() {
+    this.ttlMs = numberFromEnv('ANALYSIS_CACHE_TTL_MINUTES', 60) * MINUTE_MS;
+    this.maxEntries = parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES) || 500;
+    this.maxDistance = Math.floor(numberFromEnv('ANALYSIS_CACHE_MAX_DISTANCE', 0));
+    // memory (default) or disk (DATA_DIR/analysis-cache.json, survives restarts)
+    const storeType = (process.env.ANALYSIS_CACHE_STORE || 'memory').toLowerCase();
+    this.store = new FileStore('analysis-cache', { inMemory: storeType !== 'disk' });
+  }
+
+  isEnabled() {
+    return this.ttlMs > 0;
+  }
+
+  // The cache key covers every frame and the analysis mode (a label reading differs from a plate estimate);
+  // userId scopes perceptual matches
+  async fingerprint(processedImages, mode, userId = null) {
+    const imageHashes = processedImages.map(image => crypto.createHash('sha256').update(image).digest('hex'));
+    const perceptualHashes = await Promise.all(processedImages.map(perceptualHash));
+    return {
+      key: crypto.createHash('sha256').update(`${mode}:${imageHashes.join(',')}`).digest('hex'),
+      mode,
+      userId,
+      perceptualHashes
+    };
+  }
+
+  // Returns { entry, match: 'exact' | 'perceptual', distance } or null
+  async lookup(fingerprint) {
+    const now = Date.now();
+    const exact = await this.store.get(fingerprint.key);
+    if (exact && Date.parse(exact.expiresAt) > now) {
+      return { entry: exact, match: 'exact', distance: 0 };
+    }
+
+    if (this.maxDistance <= 0 || !fingerprint.userId) {
+      return null;
+    }
+
+    // Near-duplicate: same user, mode and frame count, every frame within the distance budget
+    let best = null;
+    const candidates = await this.store.find(entry =>
+      entry.userId === fingerprint.userId &&
+      entry.mode === fingerprint.mode &&
+      entry.perceptualHashes.length === fingerprint.perceptualHashes.length &&
+      Date.parse(entry.expiresAt) > now
+    );
+    candidates.forEach(entry => {
+      const distances = entry.perceptualHashes.map((hash, index) => hammingDistance(hash, fingerprint.perceptualHashes[index]));
+      const distance = Math.max(...distances);
+      if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+        best = { entry, match: 'perceptual', distance };
+      }
+    });
+    return best;
+  }
+
+  async save(fingerprint, { analysis, modelInfo }) {
+    const createdAt = new Date();
+    const entry = {
+      key: fingerprint.key,
+      mode: fingerprint.mode,
+      userId: fingerprint.userId || null,
+      perceptualHashes: fingerprint.perceptualHashes,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.ttlMs).toISOString(),
+      analysis,
+      modelInfo: modelInfo || null
+    };
+    await this.store.set(fingerprint.key, entry);
+
+    // Drop the oldest entries beyond ANALYSIS_CACHE_MAX_ENTRIES
+    const entries = await this.store.find();
+    if (entries.length > this.maxEntries) {
+      const evicted = new Set(entries
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .slice(0, entries.length - this.maxEntries)
+        .map(oldEntry => oldEntry.key));
+      await this.store.deleteWhere(oldEntry => evicted.has(oldEntry.key));
+    }
+    return entry;
+  }
+
+  // Purge one key, only expired entries, or everything; returns the number of entries removed
+  async purge({ key, expiredOnly = false } = {}) {
+    if (key) {
+      return (await this.store.delete(key)) ? 1 : 0;
+    }
+    const now = Date.now();
+    return this.store.deleteWhere(entry => !expiredOnly || Date.parse(entry.expiresAt) <= now);
+  }
+
+  async stats() {
+    const entries = await this.store.find();
+    const now = Date.now();
+    return {
+      enabled: this.isEnabled(),
+      store: this.store.inMemory ? 'memory' : 'disk',
+      ttlMinutes: this.ttlMs / MINUTE_MS,
+      maxDistance: this.maxDistance,
+      entries: entries.length,
+      expired: entries.filter(entry => Date.parse(entry.expiresAt) <= now).length
+    };
+  }
+}
+
+module.exports = new AnalysisCache();
+module.exports.perceptualHash = perceptualHash;
+module.exports.hammingDistance = hammingDistance;
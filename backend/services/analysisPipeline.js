@@ -0,0 +1,282 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const chatGPTService = require('./chatgptService');
+const nutritionService = require('./nutritionService');
+const analysisStore = require('./analysisStore');
+const analysisCache = require('./analysisCache');
+
+// food: plate analysis, label: read a Nutrition Facts panel, auto: food unless the model sees a label,
+// leftovers: what was eaten between a before and an after photo
+const ANALYSIS_MODES = ['auto', 'food', 'label', 'leftovers'];
+
+// Errors the routes return as-is: statusCode plus the usual { error, code, message } body
+function analysisError(statusCode, body) {
+  const error = new Error(body.message || body.error);
+  error.statusCode = statusCode;
+  error.body = body;
+  return error;
+}
+
+// Image processing → vision model → nutrition enhancement → storage, shared by the plain,
+// streaming and queued analysis routes. Progress is reported through onProgress(event, data)
+class AnalysisPipeline {
+  normalizeMode(mode) {
+    const normalized = String(mode || 'auto').toLowerCase();
+    if (!ANALYSIS_MODES.includes(normalized)) {
+      throw analysisError(400, {
+        error: 'Invalid analysis mode',
+        code: 'INVALID_MODE',
+        message: `mode must be one of: ${ANALYSIS_MODES.join(', ')}`
+      });
+    }
+    return normalized;
+  }
+
+  validate({ files, mode }) {
+    if (!files || files.length === 0) {
+      throw analysisError(400, {
+        error: 'No image provided',
+        code: 'NO_IMAGE'
+      });
+    }
+
+    // Leftovers compares a before photo (first image) with an after photo (second image)
+    if (mode === 'leftovers' && files.length !== 2) {
+      throw analysisError(400, {
+        error: 'Leftovers mode needs two images',
+        code: 'LEFTOVERS_NEEDS_TWO_IMAGES',
+        message: 'Upload the before photo first and the after photo second',
+        received: files.length
+      });
+    }
+  }
+
+  // Process image with Sharp (resize, optimize)
+  // Balance between quality and speed: 768x768 provides better accuracy while still being fast
+  // Quality 80 maintains good image quality for accurate food recognition
+  // Every uploaded frame is processed the same way and sent to the model in one prompt
+  async processImages(files) {
+    const processedImages = [];
+    try {
+      for (const file of files) {
+        processedImages.push(await sharp(file.buffer)
+          .resize(768, 768, {
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .jpeg({
+            quality: 80, // Good balance between quality and file size
+            mozjpeg: true // Use mozjpeg for better compression
+          })
+          .normalize() // Auto-adjust brightness/contrast to prevent "too dark" issues
+          .toBuffer());
+      }
+    } catch (sharpError) {
+      console.error('❌ Sharp image processing error:', sharpError);
+      if (sharpError.message && (sharpError.message.includes('Input buffer') || sharpError.message.includes('unsupported image format') || sharpError.message.includes('corrupt'))) {
+        throw analysisError(400, {
+          error: 'Invalid image file',
+          code: 'INVALID_IMAGE',
+          message: 'The image file is corrupted or in an unsupported format. Please try a different image.'
+        });
+      }
+      throw sharpError;
+    }
+    return processedImages;
+  }
+
+  throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw analysisError(409, {
+        error: 'Analysis cancelled',
+        code: 'ANALYSIS_CANCELLED'
+      });
+    }
+  }
+
+  async fingerprint(processedImages, mode, userId) {
+    try {
+      return await analysisCache.fingerprint(processedImages, mode, userId ? userId.trim() || null : null);
+    } catch (error) {
+      console.error('⚠️ Failed to fingerprint images for the analysis cache:', error.message);
+      return null;
+    }
+  }
+
+  // Cache problems only cost a model call, they never fail the analysis
+  async lookupCache(fingerprint) {
+    try {
+      return await analysisCache.lookup(fingerprint);
+    } catch (error) {
+      console.error('⚠️ Analysis cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  // options.stream asks the model for a streamed response so each food is reported as it is parsed;
+  // options.signal cancels the run between stages and aborts an in-flight model call;
+  // refresh skips the analysis cache lookup (the fresh result still replaces the cached one)
+  async run({ files, mode, userId, refresh = false }, { onProgress = () => {}, stream = false, signal } = {}) {
+    const startTime = Date.now();
+    mode = this.normalizeMode(mode);
+    this.validate({ files, mode });
+
+    const processedImages = await this.processImages(files);
+
+    // Convert to base64 for ChatGPT Vision
+    const base64Images = processedImages.map(image => image.toString('base64'));
+    if (base64Images.some(base64Image => !base64Image || base64Image.length === 0)) {
+      console.error('❌ Failed to convert image to base64');
+      throw analysisError(500, {
+        error: 'Image processing failed',
+        code: 'IMAGE_CONVERSION_FAILED',
+        message: 'Failed to process image. Please try again.'
+      });
+    }
+    onProgress('image_processed', { imageCount: base64Images.length, elapsedMs: Date.now() - startTime });
+    this.throwIfCancelled(signal);
+
+    // Identical or near-identical uploads reuse a cached analysis instead of calling the model again
+    const fingerprint = analysisCache.isEnabled() ? await this.fingerprint(processedImages, mode, userId) : null;
+    const cached = fingerprint && !refresh ? await this.lookupCache(fingerprint) : null;
+
+    let enhancedAnalysis;
+    let modelInfo;
+    if (cached) {
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`♻️ Analysis cache hit (${cached.match}, distance ${cached.distance})`);
+      }
+      enhancedAnalysis = {
+        ...cached.entry.analysis,
+        cache: { hit: true, match: cached.match, distance: cached.distance, cachedAt: cached.entry.createdAt }
+      };
+      modelInfo = cached.entry.modelInfo;
+      onProgress('cache_hit', enhancedAnalysis.cache);
+    } else {
+      ({ enhancedAnalysis, modelInfo } = await this.analyzeImages(base64Images, { mode, stream, signal, onProgress }));
+      // Failed or empty analyses (unreadable photo, unparseable response) are worth retrying, so never cached
+      if (fingerprint && enhancedAnalysis.foods && enhancedAnalysis.foods.length > 0 && enhancedAnalysis.overallConfidence > 0.1) {
+        try {
+          await analysisCache.save(fingerprint, { analysis: enhancedAnalysis, modelInfo });
+        } catch (cacheError) {
+          console.error('⚠️ Failed to cache analysis:', cacheError.message);
+        }
+      }
+      enhancedAnalysis = { ...enhancedAnalysis, cache: { hit: false } };
+    }
+
+    onProgress('nutrition_enhanced', { foods: enhancedAnalysis.foods });
+    onProgress('totals', {
+      totals: enhancedAnalysis.totals,
+      units: enhancedAnalysis.units,
+      insights: enhancedAnalysis.insights
+    });
+
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Analysis complete in ${Date.now() - startTime}ms`);
+    }
+
+    this.throwIfCancelled(signal);
+
+    // Generate unique analysis ID
+    const analysisId = uuidv4();
+
+    // Keep the analysis so it can be re-opened via /api/analyses/:id; storage problems never fail the request
+    try {
+      const thumbnail = await sharp(processedImages[0])
+        .resize(256, 256, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+      await analysisStore.saveAnalysis(analysisId, {
+        analysis: enhancedAnalysis,
+        thumbnail: thumbnail.toString('base64'),
+        modelInfo,
+        userId
+      });
+    } catch (storeError) {
+      console.error('⚠️ Failed to store analysis:', storeError.message);
+    }
+
+    return {
+      analysisId,
+      timestamp: new Date().toISOString(),
+      analysis: enhancedAnalysis
+    };
+  }
+
+  // Vision model call plus nutrition enhancement; the expensive part of a run that the cache skips
+  async analyzeImages(base64Images, { mode, stream, signal, onProgress }) {
+    // Analyze with ChatGPT Vision
+    const chatGPTStartTime = Date.now();
+    console.log('🤖 Calling ChatGPT Vision API...');
+    console.log('📊 Base64 image size:', Math.round(base64Images.reduce((sum, image) => sum + image.length, 0) / 1024), 'KB', `(${base64Images.length} image(s))`);
+    onProgress('model_started', { mode });
+
+    let chatGPTResponse = null;
+    let label = null;
+    try {
+      if (mode !== 'label') {
+        chatGPTResponse = await chatGPTService.analyzeFoodImage(base64Images, {
+          mode,
+          signal,
+          onFood: stream ? (food, index) => onProgress('food', { index, food }) : undefined
+        });
+      }
+      if (mode === 'label' || (mode === 'auto' && chatGPTResponse.imageType === 'nutrition_label')) {
+        console.log('🏷️ Reading nutrition label...');
+        label = await chatGPTService.analyzeNutritionLabel(base64Images, { signal });
+      }
+    } catch (chatGPTError) {
+      this.throwIfCancelled(signal);
+      console.error('❌ ChatGPT API error:', chatGPTError);
+      throw chatGPTError;
+    }
+    this.throwIfCancelled(signal);
+
+    const chatGPTElapsed = Date.now() - chatGPTStartTime;
+    console.log(`✅ ChatGPT API call completed in ${chatGPTElapsed}ms`);
+
+    if (label && !label.isNutritionLabel) {
+      if (!chatGPTResponse) {
+        throw analysisError(422, {
+          error: 'No nutrition label found',
+          code: 'NOT_A_NUTRITION_LABEL',
+          message: 'No nutrition label could be read from the image. Photograph the Nutrition Facts panel straight on, or use mode=food.'
+        });
+      }
+      label = null; // auto mode: keep the food analysis
+    }
+    const modelInfo = (label || chatGPTResponse).modelInfo;
+    onProgress('model_completed', { elapsedMs: chatGPTElapsed, modelInfo });
+
+    // Enhance with nutrition data (label readings are exact and skip database blending)
+    let enhancedAnalysis;
+    try {
+      enhancedAnalysis = label
+        ? nutritionService.enhanceWithLabelData(label)
+        : await nutritionService.enhanceWithNutritionData(chatGPTResponse, { dedupe: base64Images.length > 1 });
+      if (mode === 'leftovers') {
+        enhancedAnalysis = nutritionService.applyLeftovers(enhancedAnalysis);
+      }
+    } catch (nutritionError) {
+      // A label-only run has no food analysis to fall back to
+      if (!chatGPTResponse) {
+        console.error('❌ Nutrition label processing failed:', nutritionError);
+        throw analysisError(500, {
+          error: 'Label processing failed',
+          code: 'LABEL_PROCESSING_FAILED',
+          message: 'The nutrition label was read but could not be processed. Please try again.'
+        });
+      }
+      // If nutrition enhancement fails, use the ChatGPT response directly
+      console.error('⚠️ Nutrition enhancement failed, using ChatGPT response directly:', nutritionError);
+      enhancedAnalysis = chatGPTResponse;
+    }
+    enhancedAnalysis.imageCount = base64Images.length;
+    return { enhancedAnalysis, modelInfo };
+  }
+}
+
+module.exports = new AnalysisPipeline();
+module.exports.ANALYSIS_MODES = ANALYSIS_MODES;
+module.exports.analysisError = analysisError;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const FileStore = require('./fileStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Keeps enhanced analyses for a retention window so a result can be re-opened by its analysisId.
+// Thumbnails are written as separate JPEG files next to the collection, so analyses.json (rewritten
+// on every save) only grows by the analysis itself
+class AnalysisStore {
+  constructor() {
+    this.store = new FileStore('analyses');
+    this.thumbnailDir = path.join(this.store.dataDir, 'analysis-thumbnails');
+    this.retentionMs = (parseFloat(process.env.ANALYSIS_RETENTION_HOURS) || 72) * HOUR_MS;
+
+    // Hourly sweep of expired analyses; unref so it never keeps the process alive
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch(error => console.error('❌ Failed to purge expired analyses:', error.message));
+    }, HOUR_MS);
+    this.purgeTimer.unref();
+  }
+
+  thumbnailPath(analysisId) {
+    return path.join(this.thumbnailDir, `${path.basename(analysisId)}.jpg`);
+  }
+
+  async saveAnalysis(analysisId, { analysis, thumbnail, modelInfo, userId }) {
+    const createdAt = new Date();
+    if (thumbnail) {
+      await fs.promises.mkdir(this.thumbnailDir, { recursive: true });
+      await fs.promises.writeFile(this.thumbnailPath(analysisId), Buffer.from(thumbnail, 'base64'));
+    }
+
+    const record = {
+      analysisId,
+      userId: userId ? userId.trim() || null : null,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.retentionMs).toISOString(),
+      analysis,
+      hasThumbnail: Boolean(thumbnail),
+      model: modelInfo || null
+    };
+
+    try {
+      await this.store.set(analysisId, record);
+    } catch (error) {
+      await this.removeThumbnail(analysisId);
+      throw error;
+    }
+    return { ...record, thumbnail: thumbnail || null };
+  }
+
+  // The stored record with its thumbnail as base64 (null when there is none). An analysis saved
+  // with a userId is reported as missing to anyone else
+  async getAnalysis(analysisId, userId = null) {
+    const record = await this.store.get(analysisId);
+    if (!record || (record.userId && record.userId !== userId)) {
+      return null;
+    }
+
+    if (Date.parse(record.expiresAt) <= Date.now()) {
+      await this.store.delete(analysisId);
+      await this.removeThumbnail(analysisId);
+      return null;
+    }
+
+    return { ...record, thumbnail: await this.readThumbnail(record) };
+  }
+
+  async readThumbnail(record) {
+    if (!record.hasThumbnail) {
+      return null;
+    }
+    try {
+      return (await fs.promises.readFile(this.thumbnailPath(record.analysisId))).toString('base64');
+    } catch (error) {
+      console.error(`⚠️ Missing thumbnail for analysis ${record.analysisId}:`, error.message);
+      return null;
+    }
+  }
+
+  async removeThumbnail(analysisId) {
+    try {
+      await fs.promises.unlink(this.thumbnailPath(analysisId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Failed to remove thumbnail for analysis ${analysisId}:`, error.message);
+      }
+    }
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    const expired = await this.store.find(record => Date.parse(record.expiresAt) <= now);
+    if (expired.length === 0) {
+      return 0;
+    }
+    const expiredIds = new Set(expired.map(record => record.analysisId));
+    const removed = await this.store.deleteWhere(record => expiredIds.has(record.analysisId));
+    await Promise.all(expired.filter(record => record.hasThumbnail).map(record => this.removeThumbnail(record.analysisId)));
+    if (removed > 0 && process.env.NODE_ENV !== 'production') {
+      console.log(`🧹 Purged ${removed} expired analyses`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new AnalysisStore();
@@ -0,0 +1,72 @@
+const sharp = require('sharp');
+const {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer
+} = require('@zxing/library');
+
+const RETAIL_FORMATS = [BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.UPC_E];
+
+// Preprocessing passes tried in order until one decodes; phone photos are often
+// dim, slightly blurred or shot sideways, so each pass compensates for one of those
+const FRAME_VARIANTS = [
+  { name: 'original', apply: image => image },
+  { name: 'normalized', apply: image => image.normalize() },
+  { name: 'sharpened', apply: image => image.normalize().sharpen() },
+  { name: 'threshold', apply: image => image.normalize().threshold(128) },
+  { name: 'rotated', apply: image => image.rotate(90).normalize() }
+];
+
+class BarcodeDecoder {
+  constructor() {
+    this.reader = new MultiFormatReader();
+    const hints = new Map();
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, RETAIL_FORMATS);
+    hints.set(DecodeHintType.TRY_HARDER, true);
+    this.reader.setHints(hints);
+  }
+
+  // Decode 8-bit greyscale pixels; returns the barcode text or null
+  decodeLuminance(data, width, height) {
+    try {
+      const source = new RGBLuminanceSource(new Uint8ClampedArray(data), width, height);
+      const result = this.reader.decode(new BinaryBitmap(new HybridBinarizer(source)));
+      return {
+        code: result.getText(),
+        format: BarcodeFormat[result.getBarcodeFormat()]
+      };
+    } catch (error) {
+      // Not found, checksum and format errors all mean this frame had no readable barcode
+      return null;
+    } finally {
+      this.reader.reset();
+    }
+  }
+
+  async decodeImage(buffer) {
+    for (const variant of FRAME_VARIANTS) {
+      // EXIF rotation first, then a size the decoder handles quickly
+      const base = sharp(buffer)
+        .rotate()
+        .resize(1280, 1280, { fit: 'inside', withoutEnlargement: true })
+        .greyscale();
+      const { data, info } = await variant.apply(base)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const result = this.decodeLuminance(data, info.width, info.height);
+      if (result) {
+        if (process.env.NODE_ENV !== 'production') {
+          console.log(`🔎 Barcode ${result.code} (${result.format}) decoded from ${variant.name} frame`);
+        }
+        return { ...result, frame: variant.name };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new BarcodeDecoder();
@@ -1,24 +1,31 @@
-const OpenAI = require('openai');
+const { getVisionProvider } = require('./visionProviders');
+const FoodStreamParser = require('./foodStreamParser');
+const { NUTRIENT_UNITS, pickNutrients, scaleNutrients, withNutrientDefaults } = require('./nutrientSchema');
 
 class ChatGPTService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 80000, // 80 second timeout for OpenAI API calls (increased for image analysis)
-      maxRetries: 2 // Retry up to 2 times on failure
-    });
+  // Each call goes through the provider configured for its route (OpenAI, a local
+  // OpenAI-compatible server or recorded fixtures), see services/visionProviders
+  getProvider(route) {
+    return getVisionProvider(route);
   }
 
-  async analyzeFoodImage(base64Image) {
+  // Accepts one base64 image or several frames of the same meal; options.mode 'leftovers'
+  // treats the first frame as the meal before eating and the second as what was left.
+  // options.onFood(food, index) streams the response and reports each food as soon as it is complete;
+  // options.signal aborts the model call
+  async analyzeFoodImage(base64Images, options = {}) {
     try {
+      const images = Array.isArray(base64Images) ? base64Images : [base64Images];
+      
       // Reduced logging for production performance
       if (process.env.NODE_ENV !== 'production') {
         console.log('🤖 ChatGPT Service: Starting analysis...');
-        console.log('🤖 Image size:', base64Image.length, 'characters');
+        console.log('🤖 Image size:', images.map(image => image.length).join(' + '), 'characters');
       }
       
       const prompt = `
         Analyze this food image and provide detailed nutrition information. 
+        ${this.describeImageSet(images.length, options.mode)}
         
         Please identify:
         1. All food items visible in the image
@@ -47,6 +54,9 @@ class ChatGPTService {
         - carbs: Carbohydrates in grams for the ENTIRE visible portion. For pasta/rice/noodle dishes, carbs should reflect the base ingredient (typically 40-60g for medium portions).
         - fat: Fat in grams for the ENTIRE visible portion. Include cooking oils and fats.
         - fiber: Fiber in grams (if applicable) for the ENTIRE visible portion
+        - saturated_fat, sugar: Saturated fat and total sugars in grams for the ENTIRE visible portion
+        - sodium, potassium, cholesterol, calcium, iron, vitamin_c: Milligrams for the ENTIRE visible portion
+        - vitamin_d: Micrograms (mcg) for the ENTIRE visible portion
         - serving_size: Estimated serving size description (e.g., "2 large eggs", "1 cup of rice", "3 pancakes", "1 plate of pasta with broccoli")
         - confidence: Your confidence level (0-1)
         - cooking_method: How the food appears to be prepared
@@ -54,6 +64,8 @@ class ChatGPTService {
         - portion_size: Estimated portion size as "small", "medium", or "large" based on visual appearance and quantity
         - macro_guess: Primary macronutrient appearance as "carb-heavy", "protein-rich", "fat-heavy", or "balanced" based on visual characteristics
         
+        If the image is a photo of a printed Nutrition Facts / nutrition information panel rather than food, set image_type to "nutrition_label"; otherwise set it to "food".
+        
         CRITICAL: You MUST return ONLY a valid JSON object. Do NOT include any text before or after the JSON. Do NOT explain why you can't analyze the image. Even if the image is unclear, dark, or you cannot identify food items, you MUST still return valid JSON with empty or default values.
         
         Return the response as a JSON object with this EXACT structure:
@@ -66,16 +78,27 @@ class ChatGPTService {
               "carbs": number,
               "fat": number,
               "fiber": number,
+              "saturated_fat": number,
+              "sugar": number,
+              "sodium": number,
+              "potassium": number,
+              "cholesterol": number,
+              "calcium": number,
+              "iron": number,
+              "vitamin_c": number,
+              "vitamin_d": number,
               "serving_size": "string",
               "confidence": number,
               "cooking_method": "string",
               "ingredients": ["string"],
               "portion_size": "small" | "medium" | "large",
-              "macro_guess": "carb-heavy" | "protein-rich" | "fat-heavy" | "balanced"
+              "macro_guess": "carb-heavy" | "protein-rich" | "fat-heavy" | "balanced"${options.mode === 'leftovers' ? `,
+              "remaining_fraction": number` : ''}
             }
           ],
           "overall_confidence": number,
           "image_description": "string",
+          "image_type": "food" | "nutrition_label",
           "suggestions": ["string"]
         }
         
@@ -91,8 +114,10 @@ class ChatGPTService {
         REMEMBER: For mixed dishes, always look for the complete dish, not just individual ingredients. If you see vegetables on pasta, estimate calories for BOTH the pasta AND the vegetables. If you see protein on rice, estimate calories for BOTH the rice AND the protein. Complete dishes should have complete calorie estimates.
       `;
 
+      const provider = this.getProvider(options.route || (options.mode === 'leftovers' ? 'analyze-leftovers' : 'analyze-food'));
+      
       if (process.env.NODE_ENV !== 'production') {
-        console.log('🤖 Calling OpenAI API...');
+        console.log(`🤖 Calling vision provider "${provider.name}" (${provider.model})...`);
       }
       
       const startTime = Date.now();
@@ -100,47 +125,40 @@ class ChatGPTService {
       // Add timeout wrapper for OpenAI API call (85 seconds - gives buffer for network delays)
       // The OpenAI client has an 80s timeout, but Promise.race ensures we catch timeouts reliably
       const timeoutMs = 85000; // 85 seconds timeout
+      let timer;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
+        timer = setTimeout(() => {
           const elapsed = Date.now() - startTime;
           console.error(`⏱️ ChatGPT API timeout after ${elapsed}ms (limit: ${timeoutMs}ms)`);
           reject(new Error('OpenAI API request timed out after 85 seconds'));
         }, timeoutMs);
       });
       
-      const apiCallPromise = this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: prompt
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`,
-                  detail: "auto" // Use "auto" for better accuracy (ChatGPT decides optimal detail level)
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 1500, // Increased for more detailed responses
+      const foodStream = options.onFood ? new FoodStreamParser(options.onFood) : null;
+      const apiCallPromise = provider.complete({
+        prompt,
+        images,
+        onDelta: foodStream ? delta => foodStream.push(delta) : undefined,
+        signal: options.signal,
+        detail: "auto", // Use "auto" for better accuracy (ChatGPT decides optimal detail level)
+        maxTokens: 1500, // Increased for more detailed responses
         temperature: 0.3, // Slightly higher for better food recognition
-        response_format: { type: "json_object" } // CRITICAL: Force JSON response format
+        json: true // CRITICAL: Force JSON response format
       });
       
-      const response = await Promise.race([apiCallPromise, timeoutPromise]);
+      const response = await Promise.race([apiCallPromise, timeoutPromise]).finally(() => clearTimeout(timer));
       
       const elapsedTime = Date.now() - startTime;
       if (process.env.NODE_ENV !== 'production') {
         console.log(`✅ OpenAI API call completed in ${elapsedTime}ms`);
       }
       
-      const content = response.choices[0].message.content;
+      const content = response.content;
+      const modelInfo = {
+        provider: response.provider,
+        model: response.model,
+        elapsedMs: elapsedTime
+      };
       
       if (process.env.NODE_ENV !== 'production') {
         console.log('🤖 OpenAI API response received');
@@ -185,6 +203,10 @@ class ChatGPTService {
             analysis.imageDescription = analysis.image_description;
             delete analysis.image_description;
           }
+          if (analysis.image_type !== undefined) {
+            analysis.imageType = analysis.image_type;
+            delete analysis.image_type;
+          }
           
           // Process foods array
           if (analysis.foods && Array.isArray(analysis.foods)) {
@@ -201,19 +223,14 @@ class ChatGPTService {
         
         // Fallback: create a basic response
         analysis = {
-          foods: [{
+          foods: [withNutrientDefaults({
             id: `food_${Date.now()}_0`, // Add unique ID
             name: "Unidentified Food",
-            calories: 0,
-            protein: 0,
-            carbs: 0,
-            fat: 0,
-            fiber: 0,
             serving_size: "Unknown",
             confidence: 0.1,
             cooking_method: "Unknown",
             ingredients: []
-          }],
+          })],
           overallConfidence: 0.1,
           imageDescription: "Unable to analyze image",
           suggestions: ["Try taking a clearer photo with better lighting"]
@@ -227,6 +244,9 @@ class ChatGPTService {
         }
       }
 
+      // Which provider/model produced this analysis, kept with stored analyses
+      analysis.modelInfo = modelInfo;
+
       return analysis;
 
     } catch (error) {
@@ -252,6 +272,165 @@ class ChatGPTService {
     }
   }
 
+  // Prompt preamble for multi-image requests, so the same food seen twice is only counted once
+  describeImageSet(imageCount, mode) {
+    if (mode === 'leftovers') {
+      return `
+        You are given TWO photos of the same meal. The FIRST photo shows the meal BEFORE eating and the SECOND photo shows what was LEFT afterwards.
+        List every food from the FIRST photo and estimate its nutrition for the full portion served, exactly as if only the first photo had been given.
+        For each food also return remaining_fraction: the fraction of that food still on the plate in the SECOND photo (0 = all eaten, 1 = untouched).
+        Do not list foods that only appear in the second photo.
+      `;
+    }
+    if (imageCount > 1) {
+      return `
+        You are given ${imageCount} photos of the SAME meal taken from different angles. They are NOT separate meals.
+        Use all photos together to identify foods and judge portions, but list each food item ONCE and estimate nutrition for the meal as a whole.
+        Never add up the same item because it is visible in more than one photo.
+      `;
+    }
+    return '';
+  }
+
+  // Reads a photographed Nutrition Facts panel. Values are transcribed, not estimated, so the
+  // result is per printed serving along with the serving size and servings per container
+  async analyzeNutritionLabel(base64Images, options = {}) {
+    try {
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('🏷️ ChatGPT Service: Reading nutrition label...');
+      }
+
+      const prompt = `
+        This image should show a printed nutrition label (US Nutrition Facts panel, EU/UK nutrition
+        information table, or similar). Transcribe the printed values exactly - do NOT estimate.
+        
+        Extract:
+        - product_name: Product name if visible on the package, otherwise null
+        - serving_size: Serving size exactly as printed (e.g., "2/3 cup (55g)", "1 bar (40g)")
+        - serving_grams: Serving mass in grams (or millilitres for drinks) if printed, otherwise null
+        - servings_per_container: Servings per container as a number if printed, otherwise null
+        - basis: "per_serving" if the values below are per serving, "per_100g" if the label only gives values per 100 g / 100 ml
+        - values: Nutrient amounts for that basis:
+          calories (kcal; convert kJ by dividing by 4.184 if only kJ is printed),
+          protein, carbs (total carbohydrate), fat (total fat), fiber, saturated_fat, sugar (total sugars) in grams,
+          sodium, potassium, cholesterol, calcium, iron, vitamin_c in milligrams, vitamin_d in micrograms (mcg).
+          If the label lists salt instead of sodium, put the salt grams in "salt" and leave sodium null.
+          If a nutrient is only shown as % Daily Value, convert it using these daily values:
+          calcium 1300 mg, iron 18 mg, potassium 4700 mg, vitamin_c 90 mg, vitamin_d 20 mcg, sodium 2300 mg.
+          Use null for nutrients that are not on the label.
+        - confidence: How legible the label is (0-1)
+        - is_nutrition_label: false if the image does not show a nutrition label at all
+        
+        CRITICAL: Return ONLY a valid JSON object with this EXACT structure:
+        {
+          "is_nutrition_label": boolean,
+          "product_name": "string" | null,
+          "serving_size": "string",
+          "serving_grams": number | null,
+          "servings_per_container": number | null,
+          "basis": "per_serving" | "per_100g",
+          "values": {
+            "calories": number, "protein": number, "carbs": number, "fat": number,
+            "fiber": number | null, "saturated_fat": number | null, "sugar": number | null,
+            "sodium": number | null, "salt": number | null, "potassium": number | null,
+            "cholesterol": number | null, "calcium": number | null, "iron": number | null,
+            "vitamin_c": number | null, "vitamin_d": number | null
+          },
+          "confidence": number
+        }
+      `;
+
+      const provider = this.getProvider(options.route || 'analyze-label');
+      const startTime = Date.now();
+
+      const timeoutMs = 85000; // same budget as food analysis
+      let timer;
+      const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('OpenAI API request timed out after 85 seconds')), timeoutMs);
+      });
+
+      const apiCallPromise = provider.complete({
+        prompt,
+        images: Array.isArray(base64Images) ? base64Images : [base64Images], // e.g. front of pack + nutrition panel
+        detail: "high", // Small print needs the full-resolution tiles
+        maxTokens: 800,
+        temperature: 0, // Transcription, not estimation
+        json: true,
+        signal: options.signal
+      });
+
+      const response = await Promise.race([apiCallPromise, timeoutPromise]).finally(() => clearTimeout(timer));
+      const elapsedTime = Date.now() - startTime;
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`✅ Label read completed in ${elapsedTime}ms`);
+      }
+
+      let label;
+      try {
+        const jsonMatch = response.content.trim().match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+          throw new Error('No JSON found in response');
+        }
+        label = JSON.parse(jsonMatch[0]);
+      } catch (parseError) {
+        console.error('Error parsing nutrition label response:', parseError);
+        console.error('Raw response:', response.content);
+        throw new Error('Failed to parse nutrition label response');
+      }
+
+      const values = label.values || {};
+      // EU/UK labels print salt; sodium is 40% of salt by mass
+      if ((values.sodium === null || values.sodium === undefined) && Number(values.salt) > 0) {
+        values.sodium = Number(values.salt) * 400;
+      }
+
+      const servingGrams = Number(label.serving_grams) > 0 ? Number(label.serving_grams) : null;
+      const servingsPerContainer = Number(label.servings_per_container) > 0 ? Number(label.servings_per_container) : null;
+      let nutrients = pickNutrients(values);
+      let servingSize = label.serving_size || (servingGrams ? `${servingGrams} g` : '1 serving');
+
+      // Per-100g labels are scaled to the printed serving when there is one
+      if (label.basis === 'per_100g') {
+        if (servingGrams) {
+          nutrients = scaleNutrients(nutrients, servingGrams / 100);
+        } else {
+          servingSize = '100 g';
+        }
+      }
+
+      return {
+        isNutritionLabel: label.is_nutrition_label !== false,
+        productName: label.product_name || null,
+        servingSize,
+        servingGrams: label.basis === 'per_100g' && !servingGrams ? 100 : servingGrams,
+        servingsPerContainer,
+        nutrients,
+        confidence: Number.isFinite(Number(label.confidence)) ? Number(label.confidence) : 0.9,
+        modelInfo: {
+          provider: response.provider,
+          model: response.model,
+          elapsedMs: elapsedTime
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ ChatGPT API Error (nutrition label):', error.message);
+
+      if (error.message && error.message.includes('timed out')) {
+        throw new Error('OpenAI API request timed out. The label reading is taking too long. Please try again.');
+      }
+      if (error.status === 401) {
+        throw new Error('Invalid OpenAI API key');
+      } else if (error.status === 429) {
+        throw new Error('OpenAI API rate limit exceeded');
+      } else if (error.status === 400) {
+        throw new Error('Invalid request to OpenAI API');
+      } else {
+        throw new Error(`OpenAI API error: ${error.message}`);
+      }
+    }
+  }
+
   async getNutritionAdvice(foodItems, userGoals) {
     try {
       const prompt = `
@@ -270,19 +449,14 @@ class ChatGPTService {
         Return as JSON with fields: assessment, suggestions, meal_timing, portion_advice, health_tips
       `;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.4
+      const response = await this.getProvider('nutrition-advice').complete({
+        prompt,
+        maxTokens: 1000,
+        temperature: 0.4,
+        json: false
       });
 
-      return JSON.parse(response.choices[0].message.content);
+      return JSON.parse(response.content);
 
     } catch (error) {
       console.error('Error getting nutrition advice:', error);
@@ -310,14 +484,21 @@ class ChatGPTService {
           "carbs": number,
           "fat": number,
           "fiber": number,
+          "saturated_fat": number,
           "sugar": number,
           "sodium": number,
+          "potassium": number,
+          "cholesterol": number,
+          "calcium": number,
+          "iron": number,
+          "vitamin_c": number,
+          "vitamin_d": number,
           "serving_size": "string describing typical serving",
           "confidence": number (0-1)
         }
         
         Important:
-        - All macro values should be numbers (grams for protein, carbs, fat, fiber, sugar; mg for sodium)
+        - All nutrient values should be numbers (grams for protein, carbs, fat, fiber, saturated_fat, sugar; mg for sodium, potassium, cholesterol, calcium, iron, vitamin_c; mcg for vitamin_d)
         - Use realistic estimates based on typical serving sizes
         - For restaurant items, estimate based on standard restaurant portions
         - Confidence should reflect how certain you are about the estimate (0.9+ for common foods, 0.7-0.8 for specific restaurant items)
@@ -328,31 +509,26 @@ class ChatGPTService {
       
       // Add timeout wrapper for OpenAI API call (60 seconds for text-only requests)
       const timeoutMs = 60000; // 60 seconds timeout
+      let timer;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('OpenAI API request timed out after 60 seconds')), timeoutMs);
+        timer = setTimeout(() => reject(new Error('OpenAI API request timed out after 60 seconds')), timeoutMs);
       });
       
-      const apiCallPromise = this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
+      const apiCallPromise = this.getProvider('estimate-macros').complete({
+        prompt,
+        maxTokens: 500,
         temperature: 0.2, // Lower temperature for more consistent estimates
-        response_format: { type: "json_object" } // Force JSON response format
+        json: true // Force JSON response format
       });
       
-      const response = await Promise.race([apiCallPromise, timeoutPromise]);
+      const response = await Promise.race([apiCallPromise, timeoutPromise]).finally(() => clearTimeout(timer));
       
       const elapsedTime = Date.now() - startTime;
       if (process.env.NODE_ENV !== 'production') {
         console.log(`✅ OpenAI API call completed in ${elapsedTime}ms`);
       }
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       
       if (process.env.NODE_ENV !== 'production') {
         console.log('🤖 Raw ChatGPT response:', content);
@@ -377,15 +553,10 @@ class ChatGPTService {
       // Ensure all required fields are present with defaults
       return {
         name: estimate.name || foodName,
-        calories: estimate.calories || 0,
-        protein: estimate.protein || 0,
-        carbs: estimate.carbs || 0,
-        fat: estimate.fat || 0,
-        fiber: estimate.fiber || 0,
-        sugar: estimate.sugar || 0,
-        sodium: estimate.sodium || 0,
+        ...pickNutrients(estimate),
         serving_size: estimate.serving_size || "1 serving",
-        confidence: estimate.confidence || 0.7
+        confidence: estimate.confidence || 0.7,
+        units: NUTRIENT_UNITS
       };
 
     } catch (error) {
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Minimal embedded document store: one JSON file per collection, loaded into memory on first
+// use and rewritten atomically (temp file + rename) on every change; set(), delete() and deleteWhere()
+// reject when the write fails, and memory is only updated once the write has succeeded.
+// With { inMemory: true } the same API runs without touching disk (for caches that may be lost).
+// With { indexBy: ['userId'] } findBy() reads records by those fields without scanning the collection.
+// version counts committed changes, so callers can tell when something derived from the records is stale.
+class FileStore {
+  constructor(collection, options = {}) {
+    this.collection = collection;
+    this.inMemory = Boolean(options.inMemory);
+    this.indexFields = options.indexBy || [];
+    this.indexes = new Map();
+    this.version = 0;
+    this.dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, `${collection}.json`);
+    this.records = null;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.records) {
+      return this.records;
+    }
+    if (this.inMemory) {
+      this.records = new Map();
+      this.indexes = this.buildIndexes(this.records);
+      return this.records;
+    }
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const raw = await fs.promises.readFile(this.filePath, 'utf8');
+          this.records = new Map(Object.entries(JSON.parse(raw)));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`❌ Failed to load ${this.filePath}, starting with an empty "${this.collection}" collection:`, error.message);
+          }
+          this.records = new Map();
+        }
+        this.indexes = this.buildIndexes(this.records);
+        return this.records;
+      })();
+    }
+    return this.loading;
+  }
+
+  // Applies a change to a copy of the records, writes the copy and only then makes it current, so a failed
+  // write leaves memory as it is on disk. Changes are chained so concurrent requests never interleave
+  // partial files; a failed change rejects for its caller but not for the chain.
+  // mutate(records) changes the copy and returns { result, changed }
+  commit(mutate) {
+    const write = this.writeChain.then(async () => {
+      const next = new Map(await this.load());
+      const { result, changed } = mutate(next);
+      if (changed && !this.inMemory) {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(next)));
+        await fs.promises.rename(tmpPath, this.filePath);
+      }
+      this.records = next;
+      this.indexes = this.buildIndexes(next);
+      this.version++;
+      return result;
+    });
+    this.writeChain = write.catch(() => {});
+    return write.catch(error => {
+      console.error(`❌ Failed to persist "${this.collection}" collection:`, error.message);
+      throw error;
+    });
+  }
+
+  async get(id) {
+    const records = await this.load();
+    return records.get(id) || null;
+  }
+
+  set(id, value) {
+    return this.commit(records => {
+      records.set(id, value);
+      return { result: value, changed: true };
+    });
+  }
+
+  delete(id) {
+    return this.commit(records => {
+      const existed = records.delete(id);
+      return { result: existed, changed: existed };
+    });
+  }
+
+  // field -> value -> ids, rebuilt with every commit (which rewrites the whole collection anyway)
+  buildIndexes(records) {
+    const indexes = new Map(this.indexFields.map(field => [field, new Map()]));
+    for (const [id, value] of records) {
+      indexes.forEach((index, field) => {
+        const key = value[field];
+        if (!index.has(key)) {
+          index.set(key, new Set());
+        }
+        index.get(key).add(id);
+      });
+    }
+    return indexes;
+  }
+
+  // Records whose indexed field equals value, optionally filtered further
+  async findBy(field, value, predicate = () => true) {
+    const records = await this.load();
+    const index = this.indexes.get(field);
+    if (!index) {
+      throw new Error(`"${this.collection}" is not indexed by ${field}`);
+    }
+    return Array.from(index.get(value) || [], id => records.get(id)).filter(predicate);
+  }
+
+  async find(predicate = () => true) {
+    const records = await this.load();
+    return Array.from(records.values()).filter(predicate);
+  }
+
+  // Remove every record matching the predicate in a single write
+  deleteWhere(predicate) {
+    return this.commit(records => {
+      let removed = 0;
+      for (const [id, value] of records) {
+        if (predicate(value)) {
+          records.delete(id);
+          removed++;
+        }
+      }
+      return { result: removed, changed: removed > 0 };
+    });
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,264 @@
+// Tokenized, stemmed and synonym-aware matching of free-form food names against the nutrition database
+
+// Regional names and spellings mapped to the names used in the database (whole-word, applied before tokenizing)
+const SYNONYMS = {
+  aubergine: 'eggplant',
+  brinjal: 'eggplant',
+  courgette: 'zucchini',
+  'garbanzo beans': 'chickpeas',
+  garbanzo: 'chickpea',
+  garbanzos: 'chickpeas',
+  prawn: 'shrimp',
+  prawns: 'shrimp',
+  capsicum: 'bell pepper',
+  maize: 'corn',
+  yoghurt: 'yogurt',
+  porridge: 'oatmeal',
+  toast: 'bread',
+  'minced beef': 'ground beef',
+  'beef mince': 'ground beef',
+  crisps: 'potato chips',
+  spud: 'potato',
+  mangoes: 'mango',
+  kiwifruit: 'kiwi',
+  'flat white': 'coffee',
+  espresso: 'coffee',
+  americano: 'coffee',
+  catsup: 'ketchup',
+  mayo: 'mayonnaise',
+  'curd cheese': 'cottage cheese',
+  'soy bean curd': 'tofu',
+  'bean curd': 'tofu'
+};
+
+// Preparation, cut and size words: ignored for the core match but used to break ties
+const DESCRIPTORS = new Set([
+  'grilled', 'baked', 'roasted', 'roast', 'fried', 'deep', 'pan', 'seared', 'steamed', 'boiled', 'poached',
+  'scrambled', 'sauteed', 'sautéed', 'broiled', 'braised', 'stewed', 'smoked', 'toasted', 'mashed',
+  'raw', 'cooked', 'fresh', 'frozen', 'canned', 'dried', 'chopped', 'sliced', 'diced', 'shredded', 'cubed',
+  'homemade', 'organic', 'plain', 'whole', 'small', 'medium', 'large', 'extra', 'jumbo', 'mini',
+  'fillet', 'filet', 'fillets', 'piece', 'pieces', 'portion', 'serving', 'skinless', 'boneless', 'lean'
+]);
+
+// Dishes named by a preparation word: kept as one token so "fried rice" is not plain rice
+const DISH_NAMES = ['fried rice', 'fried noodles', 'baked beans'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'or', 'in', 'on', 'some', 'few', 'bit', 'side', 'bowl', 'plate', 'cup', 'cups',
+  'glass', 'slice', 'slices', 'handful', 'g', 'gram', 'grams', 'oz', 'ounce', 'ounces', 'lb', 'ml', 'tbsp', 'tsp',
+  'one', 'two', 'three', 'four', 'five', 'six', 'half', 'quarter', 'only', 'all', 'types', 'type'
+]);
+
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 4 && token.endsWith('oes')) return token.slice(0, -2);
+  if (token.length > 4 && /(ches|shes|xes|sses)$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+  return token;
+}
+
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+// Lookup key for a food name: "The Chipotle Sofritas Burritos!" and "chipotle sofritas burrito"
+// share one key. Cooking words and quantities are kept because they change the numbers
+function normalizeFoodName(name) {
+  return String(name)
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !ARTICLES.has(token))
+    .map(stem)
+    .join(' ');
+}
+
+function applySynonyms(text) {
+  return Object.keys(SYNONYMS)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, term) => result.replace(new RegExp(`\\b${term}\\b`, 'g'), SYNONYMS[term]), text);
+}
+
+function joinDishNames(text) {
+  return DISH_NAMES.reduce((result, dish) => result.replace(new RegExp(`\\b${dish}\\b`, 'g'), dish.replace(/ /g, '')), text);
+}
+
+// Splits a name into weighted core tokens and descriptor tokens. The head noun (last word
+// before "with") counts double; anything after "with" is a side component and counts half.
+// Each core token has a role: head, modifier (the rest of the main part) or side
+function analyzeName(name) {
+  const normalized = joinDishNames(applySynonyms(String(name).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim()));
+  const [mainPart, ...sideParts] = normalized.split(/\s+with\s+/);
+
+  const core = [];
+  const descriptors = new Set();
+  const addTokens = (text, weight, markHead) => {
+    const tokens = text.split(' ').filter(token => token && !/^\d/.test(token) && !STOP_WORDS.has(token));
+    const coreTokens = [];
+    tokens.forEach(token => {
+      if (DESCRIPTORS.has(token)) {
+        descriptors.add(token);
+      } else {
+        coreTokens.push(stem(token));
+      }
+    });
+    coreTokens.forEach((token, index) => {
+      const isHead = markHead && index === coreTokens.length - 1;
+      core.push({ token, weight: isHead ? weight * 2 : weight, role: isHead ? 'head' : (markHead ? 'modifier' : 'side') });
+    });
+  };
+
+  addTokens(mainPart || '', 1, true);
+  sideParts.forEach(part => addTokens(part, 0.5, false));
+
+  return { core, descriptors };
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Credit for a query token against a candidate token: exact 1, small typo 0.8
+function tokenSimilarity(queryToken, candidateToken) {
+  if (queryToken === candidateToken) {
+    return 1;
+  }
+  const allowedEdits = queryToken.length >= 10 ? 2 : queryToken.length >= 5 ? 1 : 0;
+  if (allowedEdits > 0 && Math.abs(queryToken.length - candidateToken.length) <= allowedEdits &&
+      editDistance(queryToken, candidateToken) <= allowedEdits) {
+    return 0.8;
+  }
+  return 0;
+}
+
+// Index tokens for a stored food name (stemmed core tokens plus descriptors)
+function indexTokens(name) {
+  const { core, descriptors } = analyzeName(name);
+  return [...core.map(entry => entry.token), ...descriptors];
+}
+
+class FoodMatcher {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.minScore = options.minScore !== undefined
+      ? options.minScore
+      : (parseFloat(process.env.NUTRITION_MATCH_MIN_SCORE) || 0.6);
+    this.analysisCache = new Map();
+  }
+
+  analyzeCandidate(key) {
+    if (!this.analysisCache.has(key)) {
+      this.analysisCache.set(key, analyzeName(key));
+    }
+    return this.analysisCache.get(key);
+  }
+
+  // Query tokens plus any indexed tokens within typo distance of them
+  expandTokens(queryTokens) {
+    const expanded = new Set(queryTokens);
+    queryTokens.forEach(queryToken => {
+      if (queryToken.length < 5) {
+        return;
+      }
+      for (const indexedToken of this.database.tokenIndex.keys()) {
+        if (tokenSimilarity(queryToken, indexedToken) > 0) {
+          expanded.add(indexedToken);
+        }
+      }
+    });
+    return Array.from(expanded);
+  }
+
+  // Weighted token recall/precision in [0, 1]; shared descriptors are returned separately as a tie-breaker
+  score(query, candidate) {
+    if (query.core.length === 0 || candidate.core.length === 0) {
+      return { score: 0, sharedDescriptors: 0 };
+    }
+
+    const totalWeight = query.core.reduce((sum, entry) => sum + entry.weight, 0);
+    let matchedWeight = 0;
+    let headMatched = false;
+    let modifierMissed = false;
+    const matchedCandidateTokens = new Set();
+    query.core.forEach(({ token, weight, role }) => {
+      let best = 0;
+      let bestToken = null;
+      candidate.core.forEach(({ token: candidateToken }) => {
+        const similarity = tokenSimilarity(token, candidateToken);
+        if (similarity > best) {
+          best = similarity;
+          bestToken = candidateToken;
+        }
+      });
+      if (bestToken) {
+        matchedWeight += best * weight;
+        matchedCandidateTokens.add(bestToken);
+        headMatched = headMatched || role === 'head';
+      } else if (role === 'modifier') {
+        modifierMissed = true;
+      }
+    });
+
+    if (matchedWeight === 0) {
+      return { score: 0, sharedDescriptors: 0 };
+    }
+
+    const recall = matchedWeight / totalWeight;
+    const precision = matchedCandidateTokens.size / new Set(candidate.core.map(entry => entry.token)).size;
+    // "peanut butter sandwich" is not peanut butter: missing the head noun costs heavily.
+    // The same goes the other way: "ice cream" is not cream cheese, whose head noun went unmatched,
+    // and a query word naming the kind of food ("coconut" milk, "milk" chocolate) must be matched
+    const candidateHead = candidate.core.find(entry => entry.role === 'head');
+    const headFactor = (headMatched ? 1 : 0.7) *
+      (!candidateHead || matchedCandidateTokens.has(candidateHead.token) ? 1 : 0.85) *
+      (modifierMissed ? 0.75 : 1);
+    const sharedDescriptors = [...query.descriptors].filter(descriptor => candidate.descriptors.has(descriptor)).length;
+
+    return {
+      score: (0.7 * recall + 0.3 * precision) * headFactor,
+      sharedDescriptors
+    };
+  }
+
+  // Scored candidates for a food name, best first
+  findCandidates(foodName, { limit = 5, minScore = 0 } = {}) {
+    const query = analyzeName(foodName);
+    const queryTokens = query.core.map(entry => entry.token);
+    const keys = this.database.keysForTokens(this.expandTokens(queryTokens));
+
+    const candidates = [];
+    keys.forEach(key => {
+      const { score, sharedDescriptors } = this.score(query, this.analyzeCandidate(key));
+      if (score > 0 && score >= minScore) {
+        candidates.push({ name: key, score: Math.round(score * 1000) / 1000, sharedDescriptors });
+      }
+    });
+
+    // Ties go to the candidate sharing more preparation words, then to the shorter, more generic name
+    return candidates
+      .sort((a, b) => b.score - a.score || b.sharedDescriptors - a.sharedDescriptors || a.name.length - b.name.length)
+      .slice(0, limit)
+      .map(({ name, score }) => ({ name, score }));
+  }
+
+  findBestMatch(foodName) {
+    const [best] = this.findCandidates(foodName, { limit: 1, minScore: this.minScore });
+    return best || null;
+  }
+}
+
+module.exports = FoodMatcher;
+module.exports.analyzeName = analyzeName;
+module.exports.indexTokens = indexTokens;
+module.exports.editDistance = editDistance;
+module.exports.stem = stem;
+module.exports.normalizeFoodName = normalizeFoodName;
@@ -0,0 +1,109 @@
+const nutritionService = require('./nutritionService');
+const macroEstimateService = require('./macroEstimateService');
+const { parseServingSize, parseIngredientLine, parseQuantity } = require('./portionParser');
+const { scaleNutrients } = require('./nutrientSchema');
+
+function roundNutrients(nutrients, factor = 1) {
+  return scaleNutrients(nutrients, factor);
+}
+
+// Turns quantified food lines ("2 cups cooked brown rice") into nutrients: a database match scaled
+// to the quantity, otherwise the (cached, canonical) macro estimate for the name. Shared by recipes
+// and free-text meal parsing
+class FoodResolver {
+  constructor() {
+    // Lines that miss the database cost a model call each, so a long pasted meal is resolved a few at a time
+    this.concurrency = parseInt(process.env.FOOD_RESOLVE_CONCURRENCY) || 4;
+  }
+
+  // Lines are free text or { name, quantity }
+  normalizeLine(line) {
+    if (typeof line === 'string') {
+      return { line: line.trim(), ...parseIngredientLine(line) };
+    }
+    const name = String(line.name || '').trim();
+    const quantity = String(line.quantity || '').trim();
+    return { line: `${quantity} ${name}`.trim(), quantity, name };
+  }
+
+  // Returns { item } or { unresolved } for one line
+  async resolveLine(rawLine) {
+    const { line, quantity, name } = this.normalizeLine(rawLine);
+    if (!name) {
+      return { unresolved: { line, reason: 'NO_FOOD_NAME', message: 'No food name found in the line' } };
+    }
+
+    const serving = parseServingSize(quantity, name);
+    const match = serving ? nutritionService.findBestMatch(name) : null;
+    if (match) {
+      return {
+        item: {
+          line,
+          name,
+          quantity,
+          grams: serving.grams,
+          grams_method: serving.method,
+          ...roundNutrients(nutritionService.scaleNutrients(match, serving.grams)),
+          source: 'database',
+          confidence: match.matchScore,
+          match: nutritionService.describeMatch(match)
+        }
+      };
+    }
+
+    // No database match, or no usable quantity: fall back to the macro estimate
+    try {
+      const { estimate, source } = await macroEstimateService.estimate(name);
+      const factor = this.estimateFactor(estimate, quantity, name, serving);
+      return {
+        item: {
+          line,
+          name,
+          quantity,
+          grams: serving ? serving.grams : null,
+          grams_method: serving ? serving.method : null,
+          ...roundNutrients(estimate, factor),
+          source: 'estimate',
+          estimateSource: source,
+          estimateServing: estimate.serving_size,
+          confidence: estimate.confidence,
+          match: null
+        }
+      };
+    } catch (error) {
+      console.error(`⚠️ Could not resolve food line "${line}":`, error.message);
+      return { unresolved: { line, name, quantity, reason: 'NOT_RESOLVED', message: error.message } };
+    }
+  }
+
+  // Estimates describe one typical serving: scale by mass when both sides have one, otherwise by
+  // the count in the line ("2 burritos"), otherwise assume one serving
+  estimateFactor(estimate, quantity, name, serving) {
+    const estimateServing = parseServingSize(estimate.serving_size, name);
+    if (serving && estimateServing && estimateServing.grams > 0) {
+      return serving.grams / estimateServing.grams;
+    }
+    const parsed = parseQuantity(quantity.split(/\s+/).filter(Boolean));
+    return parsed ? parsed.quantity : 1;
+  }
+
+  // Resolves up to FOOD_RESOLVE_CONCURRENCY lines at a time; returns { items, unresolved } in input order
+  async resolveLines(lines) {
+    const results = new Array(lines.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < lines.length) {
+        const index = next++;
+        results[index] = await this.resolveLine(lines[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, lines.length) }, worker));
+    return {
+      items: results.filter(result => result.item).map(result => result.item),
+      unresolved: results.filter(result => result.unresolved).map(result => result.unresolved)
+    };
+  }
+}
+
+module.exports = new FoodResolver();
+module.exports.roundNutrients = roundNutrients;
@@ -0,0 +1,214 @@
+const nutritionService = require('./nutritionService');
+const macroEstimateService = require('./macroEstimateService');
+const mealLogService = require('./mealLogService');
+const { editDistance, normalizeFoodName, stem } = require('./foodMatcher');
+const { NUTRIENT_FIELDS, pickNutrients, roundNutrient } = require('./nutrientSchema');
+
+// Ranking nudges: the user's own foods first, then canonical estimates, then the reference database
+const SOURCE_BOOST = { user: 0.1, canonical: 0.05, database: 0 };
+
+function tokenize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// How well one typed token matches one word of a food name. The last typed token may still be
+// incomplete, so it can also match the start of a word (with a typo allowance on that prefix)
+function tokenScore(queryToken, nameToken, isLast) {
+  if (queryToken === nameToken || stem(queryToken) === stem(nameToken)) {
+    return 1;
+  }
+  if (nameToken.startsWith(queryToken)) {
+    return isLast ? 0.9 : 0.8;
+  }
+
+  const allowedEdits = queryToken.length >= 8 ? 2 : (queryToken.length >= 4 ? 1 : 0);
+  if (allowedEdits === 0) {
+    return 0;
+  }
+  if (editDistance(queryToken, nameToken) <= allowedEdits) {
+    return 0.75;
+  }
+  if (isLast && nameToken.length > queryToken.length &&
+      editDistance(queryToken, nameToken.slice(0, queryToken.length)) <= allowedEdits) {
+    return 0.6;
+  }
+  return 0;
+}
+
+// 0..1 score for a name; every typed token has to match some word of the name
+function scoreName(queryTokens, name) {
+  const nameTokens = tokenize(name);
+  if (nameTokens.length === 0) {
+    return 0;
+  }
+
+  const matchedWords = new Set();
+  let total = 0;
+  for (let i = 0; i < queryTokens.length; i++) {
+    let best = 0;
+    let bestIndex = -1;
+    nameTokens.forEach((nameToken, index) => {
+      const score = tokenScore(queryTokens[i], nameToken, i === queryTokens.length - 1);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    if (best === 0) {
+      return 0;
+    }
+    total += best;
+    matchedWords.add(bestIndex);
+  }
+
+  // Prefer names that are mostly made of what was typed ("rice" over "rice pudding with raisins")
+  const coverage = matchedWords.size / nameTokens.length;
+  const startsWithQuery = nameTokens[0] && tokenScore(queryTokens[0], nameTokens[0], queryTokens.length === 1) >= 0.9;
+  return Math.min(1, (total / queryTokens.length) * (0.8 + 0.2 * coverage) + (startsWithQuery ? 0.05 : 0));
+}
+
+// Keys worth scoring: those with a word matching every typed token, looked up in a token -> keys
+// index by comparing against its vocabulary instead of against every name. Tokens the index has no
+// words for (stop words such as "of") do not narrow the list; scoreName still checks them
+function shortlistKeys(tokenIndex, queryTokens) {
+  let shortlist = null;
+  queryTokens.forEach((queryToken, i) => {
+    const isLast = i === queryTokens.length - 1;
+    const keys = new Set();
+    for (const [token, tokenKeys] of tokenIndex) {
+      if (tokenScore(queryToken, token, isLast) > 0) {
+        tokenKeys.forEach(key => keys.add(key));
+      }
+    }
+    if (keys.size > 0) {
+      shortlist = shortlist ? new Set([...shortlist].filter(key => keys.has(key))) : keys;
+    }
+  });
+  return shortlist || new Set();
+}
+
+// Autocomplete over every food the server already knows. Each result carries a ready-to-log
+// food in the standard schema, so picking one needs no /api/estimate-macros call.
+// Only a shortlist from token indexes is scored: the nutrition database's own index, and one over
+// canonical food names rebuilt when that table changes
+class FoodSearchService {
+  constructor() {
+    this.canonicalIndex = null;
+  }
+
+  async search(query, { userId, limit = 10 } = {}) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const candidates = [
+      ...(userId ? await this.userCandidates(userId) : []),
+      ...await this.canonicalCandidates(queryTokens),
+      ...this.databaseCandidates(queryTokens)
+    ];
+
+    // One result per food name, keeping the best ranked source
+    const byKey = new Map();
+    candidates.forEach(candidate => {
+      const score = scoreName(queryTokens, candidate.name);
+      if (score === 0) {
+        return;
+      }
+      const result = { ...candidate, score: Math.round(score * 1000) / 1000, rank: score + SOURCE_BOOST[candidate.source] };
+      const existing = byKey.get(candidate.key);
+      if (!existing || result.rank > existing.rank) {
+        byKey.set(candidate.key, result);
+      }
+    });
+
+    return Array.from(byKey.values())
+      .sort((a, b) => b.rank - a.rank || a.name.length - b.name.length)
+      .slice(0, limit)
+      .map(({ key, rank, ...result }) => result);
+  }
+
+  async userCandidates(userId) {
+    const savedFoods = await mealLogService.listSavedFoods(userId);
+    return savedFoods.map(({ key, food, timesLogged, lastLoggedAt }) => {
+      const { id, ...loggable } = food;
+      return {
+        id: `user:${key}`,
+        key,
+        name: food.name,
+        source: 'user',
+        timesLogged,
+        lastLoggedAt,
+        food: loggable
+      };
+    });
+  }
+
+  // Word index over canonical food names, keyed by record key
+  async getCanonicalIndex() {
+    const store = macroEstimateService.canonicalFoods;
+    await store.load();
+    if (!this.canonicalIndex || this.canonicalIndex.version !== store.version) {
+      const tokenIndex = new Map();
+      (await store.find()).forEach(record => tokenize(record.name).forEach(token => {
+        if (!tokenIndex.has(token)) {
+          tokenIndex.set(token, new Set());
+        }
+        tokenIndex.get(token).add(record.key);
+      }));
+      this.canonicalIndex = { version: store.version, tokenIndex };
+    }
+    return this.canonicalIndex.tokenIndex;
+  }
+
+  async canonicalCandidates(queryTokens) {
+    const keys = shortlistKeys(await this.getCanonicalIndex(), queryTokens);
+    const records = (await Promise.all(Array.from(keys, key => macroEstimateService.canonicalFoods.get(key)))).filter(Boolean);
+    return records.map(record => {
+      const { units, ...estimate } = macroEstimateService.toEstimate(record);
+      return {
+        id: `canonical:${record.key}`,
+        key: record.key,
+        name: record.name,
+        source: 'canonical',
+        food: {
+          ...estimate,
+          ingredients: [],
+          match: null,
+          verified: false
+        }
+      };
+    });
+  }
+
+  // Reference foods are per 100 g; the loggable food is a 100 g serving
+  databaseCandidates(queryTokens) {
+    const database = nutritionService.nutritionDatabase;
+    return Array.from(shortlistKeys(database.tokenIndex, queryTokens), name => [name, database.get(name)]).map(([name, record]) => {
+      const nutrients = pickNutrients(record);
+      NUTRIENT_FIELDS.forEach(field => {
+        nutrients[field] = roundNutrient(field, nutrients[field]);
+      });
+      return {
+        id: `database:${name}`,
+        key: normalizeFoodName(name),
+        name,
+        source: 'database',
+        description: record.description || null,
+        food: {
+          name,
+          ...nutrients,
+          serving_size: '100 g',
+          serving_grams: 100,
+          serving_grams_method: 'mass',
+          confidence: 1,
+          ingredients: [],
+          match: nutritionService.describeMatch({ ...record, matchScore: 1 }),
+          verified: true
+        }
+      };
+    });
+  }
+}
+
+module.exports = new FoodSearchService();
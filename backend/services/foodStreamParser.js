@@ -0,0 +1,76 @@
+// Incremental reader for a streamed analysis response: picks complete objects out of the
+// top-level "foods" array as the model writes them, before the rest of the JSON has arrived
+class FoodStreamParser {
+  constructor(onFood) {
+    this.onFood = onFood;
+    this.text = '';
+    this.cursor = -1; // position after the opening "[" of foods, -1 until it has been seen
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.objectStart = -1;
+    this.count = 0;
+    this.done = false;
+  }
+
+  push(chunk) {
+    this.text += chunk;
+    if (this.done) {
+      return;
+    }
+
+    if (this.cursor === -1) {
+      const match = this.text.match(/"foods"\s*:\s*\[/);
+      if (!match) {
+        return;
+      }
+      this.cursor = match.index + match[0].length;
+    }
+
+    for (; this.cursor < this.text.length; this.cursor++) {
+      const char = this.text[this.cursor];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 0 && char === '{') {
+          this.objectStart = this.cursor;
+        }
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 0) {
+          // Closing bracket of the foods array itself
+          this.done = true;
+          return;
+        }
+        this.depth--;
+        if (this.depth === 0 && char === '}') {
+          this.emit(this.text.slice(this.objectStart, this.cursor + 1));
+        }
+      }
+    }
+  }
+
+  emit(objectText) {
+    let food;
+    try {
+      food = JSON.parse(objectText);
+    } catch (error) {
+      return; // The full response is still parsed (and repaired) at the end
+    }
+    this.onFood(food, this.count++);
+  }
+}
+
+module.exports = FoodStreamParser;
@@ -0,0 +1,305 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+const MINUTE_MS = 60 * 1000;
+const CALLBACK_ATTEMPTS = 3;
+
+// Addresses a callback must never reach: loopback, private, link-local, CGNAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges
+const BLOCKED_CALLBACK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// In-process queue for slow work (image analysis) so requests can return a job ID immediately.
+// Jobs live in memory: they are lost on restart, and finished jobs are dropped after JOB_RETENTION_MINUTES
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 2;
+    this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : (parseInt(process.env.JOB_RETRY_DELAY_MS) || 2000);
+    this.maxQueued = options.maxQueued || parseInt(process.env.JOB_MAX_QUEUED) || 100;
+    // Uploads of queued and running jobs are held in memory until the job finishes
+    this.maxHeldBytes = (options.maxHeldMb || parseFloat(process.env.JOB_MAX_QUEUED_MB) || 200) * 1024 * 1024;
+    this.retentionMs = (options.retentionMinutes || parseFloat(process.env.JOB_RETENTION_MINUTES) || 60) * MINUTE_MS;
+    this.callbackTimeoutMs = parseInt(process.env.JOB_CALLBACK_TIMEOUT_MS) || 10000;
+    this.callbackAllowedHosts = (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '')
+      .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.heldBytes = 0;
+
+    // Sweep finished jobs; unref so it never keeps the process alive
+    this.purgeTimer = setInterval(() => this.purgeFinished(), MINUTE_MS);
+    this.purgeTimer.unref();
+  }
+
+  // Resolves to the reason a callback URL is refused, or null when it can be used
+  async checkCallbackUrl(callbackUrl) {
+    return (await this.resolveCallback(callbackUrl)).reason || null;
+  }
+
+  // Resolves to { url, address, family } for a usable callback URL, or { reason } when it is refused.
+  // Hosts listed in JOB_CALLBACK_ALLOWED_HOSTS are trusted as configured; without the list, any host
+  // is accepted as long as every address it resolves to is public
+  async resolveCallback(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return { reason: 'callbackUrl is not a valid URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { reason: 'callbackUrl must use http or https' };
+    }
+    const allowListed = this.callbackAllowedHosts.includes(url.hostname.toLowerCase());
+    if (this.callbackAllowedHosts.length > 0 && !allowListed) {
+      return { reason: `callbackUrl host must be one of: ${this.callbackAllowedHosts.join(', ')}` };
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+    } catch (error) {
+      return { reason: `callbackUrl host ${url.hostname} could not be resolved` };
+    }
+    if (!allowListed && addresses.some(({ address, family }) => BLOCKED_CALLBACK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      return { reason: 'callbackUrl must not point to a loopback, private or link-local address' };
+    }
+    return { url, address: addresses[0].address, family: addresses[0].family };
+  }
+
+  // handler({ signal, attempt }) does the work; describeError(error) turns a failure into the
+  // stored error body; isRetryable(error) decides whether a failed attempt is tried again.
+  // A job queued with a userId is only visible to that user; bytes is the size of the inputs the
+  // handler holds on to (uploaded images), counted against JOB_MAX_QUEUED_MB until the job finishes
+  enqueue(handler, { type = 'job', userId = null, bytes = 0, callbackUrl = null, describeError, isRetryable } = {}) {
+    if (this.pending.length >= this.maxQueued || this.heldBytes + bytes > this.maxHeldBytes) {
+      return null;
+    }
+
+    const job = {
+      id: uuidv4(),
+      type,
+      userId,
+      status: 'queued',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      callbackUrl,
+      callback: callbackUrl ? { status: 'pending', attempts: 0, deliveredAt: null, error: null } : null,
+      handler,
+      describeError: describeError || (error => ({ error: 'Job failed', code: 'JOB_FAILED', message: error.message })),
+      isRetryable: isRetryable || (() => true),
+      controller: null,
+      bytes
+    };
+    this.heldBytes += bytes;
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`📥 Queued ${type} job ${job.id} (${this.pending.length} waiting, ${this.running} running)`);
+    }
+    this.drain();
+    return job;
+  }
+
+  // Jobs owned by another user are reported as missing
+  getJob(jobId, userId = null) {
+    const job = this.jobs.get(jobId);
+    if (!job || (job.userId && job.userId !== userId)) {
+      return null;
+    }
+    return job;
+  }
+
+  // Queued jobs are dropped right away; running jobs are aborted and discarded when the handler returns
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job)) {
+      return job || null;
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+      this.finish(job, 'cancelled');
+    } else {
+      job.cancelRequested = true;
+      if (job.controller) {
+        job.controller.abort();
+      }
+    }
+    return job;
+  }
+
+  isFinished(job) {
+    return ['succeeded', 'failed', 'cancelled'].includes(job.status);
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this.runJob(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+
+    while (job.attempts < this.maxAttempts) {
+      job.attempts++;
+      job.controller = new AbortController();
+      try {
+        const result = await job.handler({ signal: job.controller.signal, attempt: job.attempts });
+        if (job.cancelRequested) {
+          return this.finish(job, 'cancelled');
+        }
+        job.result = result;
+        return this.finish(job, 'succeeded');
+      } catch (error) {
+        if (job.cancelRequested) {
+          return this.finish(job, 'cancelled');
+        }
+        console.error(`❌ Job ${job.id} attempt ${job.attempts}/${this.maxAttempts} failed:`, error.message);
+        job.error = job.describeError(error);
+        if (job.attempts >= this.maxAttempts || !job.isRetryable(error)) {
+          return this.finish(job, 'failed');
+        }
+        // Linear backoff between attempts
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * job.attempts));
+        if (job.cancelRequested) {
+          return this.finish(job, 'cancelled');
+        }
+      }
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    if (status !== 'failed') {
+      job.error = null;
+    }
+    // Release the inputs (uploaded images) as soon as the job is done
+    job.handler = null;
+    job.controller = null;
+    this.heldBytes -= job.bytes;
+    job.bytes = 0;
+
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`📤 Job ${job.id} ${status} after ${job.attempts} attempt(s)`);
+    }
+    if (job.callbackUrl) {
+      this.deliverCallback(job).catch(error => console.error(`❌ Callback for job ${job.id} failed:`, error.message));
+    }
+  }
+
+  // POSTs the job view to its callback URL, retrying a few times on network errors and 5xx answers.
+  // The URL is checked again before each attempt and the request connects to the address that was
+  // checked, so DNS cannot be switched to an internal address in between; redirects are not followed
+  async deliverCallback(job) {
+    while (job.callback.attempts < CALLBACK_ATTEMPTS) {
+      job.callback.attempts++;
+      const target = await this.resolveCallback(job.callbackUrl);
+      if (target.reason) {
+        job.callback.error = target.reason;
+        break;
+      }
+      try {
+        const status = await this.postJson(target, this.toJSON(job));
+        if (status >= 200 && status < 300) {
+          job.callback.status = 'delivered';
+          job.callback.deliveredAt = new Date().toISOString();
+          job.callback.error = null;
+          return;
+        }
+        job.callback.error = `Callback answered ${status}`;
+        if (status < 500) {
+          break;
+        }
+      } catch (error) {
+        job.callback.error = error.message;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * job.callback.attempts));
+    }
+    job.callback.status = 'failed';
+    console.error(`❌ Could not deliver job ${job.id} to its callback URL: ${job.callback.error}`);
+  }
+
+  // Resolves to the response status. The connection goes to the resolved address while the URL's host
+  // is still used for the Host header and TLS certificate checks
+  postJson({ url, address, family }, body) {
+    const payload = JSON.stringify(body);
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+        timeout: this.callbackTimeoutMs,
+        lookup: (hostname, options, callback) => options.all
+          ? callback(null, [{ address, family }])
+          : callback(null, address, family)
+      }, response => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      });
+      request.on('timeout', () => request.destroy(new Error(`Callback timed out after ${this.callbackTimeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(payload);
+    });
+  }
+
+  // Public view of a job, as returned by GET /api/jobs/:id and sent to callback URLs
+  toJSON(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error,
+      cancelRequested: Boolean(job.cancelRequested),
+      callback: job.callback
+    };
+  }
+
+  purgeFinished() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+    for (const [jobId, job] of this.jobs) {
+      if (this.isFinished(job) && Date.parse(job.finishedAt) <= cutoff) {
+        this.jobs.delete(jobId);
+        removed++;
+      }
+    }
+    if (removed > 0 && process.env.NODE_ENV !== 'production') {
+      console.log(`🧹 Purged ${removed} finished jobs`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
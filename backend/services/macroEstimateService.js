@@ -0,0 +1,139 @@
+const FileStore = require('./fileStore');
+const chatGPTService = require('./chatgptService');
+const { normalizeFoodName } = require('./foodMatcher');
+const { NUTRIENT_UNITS, pickNutrients } = require('./nutrientSchema');
+
+const MINUTE_MS = 60 * 1000;
+
+// Name-based macro estimates, answered in order from a short-lived cache, the canonical food table
+// (every accepted model estimate, kept indefinitely) and finally the model. Repeat queries for the
+// same food therefore return the same numbers and cost a single model call
+class MacroEstimateService {
+  constructor() {
+    this.cacheTtlMs = (process.env.MACRO_ESTIMATE_CACHE_TTL_MINUTES !== undefined
+      ? parseFloat(process.env.MACRO_ESTIMATE_CACHE_TTL_MINUTES)
+      : 1440) * MINUTE_MS;
+    this.minConfidence = process.env.MACRO_ESTIMATE_MIN_CONFIDENCE !== undefined
+      ? parseFloat(process.env.MACRO_ESTIMATE_MIN_CONFIDENCE)
+      : 0.6;
+    this.cacheMaxEntries = parseInt(process.env.MACRO_ESTIMATE_CACHE_MAX_ENTRIES) || 1000;
+    this.cache = new FileStore('macro-estimate-cache', { inMemory: true });
+    this.canonicalFoods = new FileStore('canonical-foods');
+    this.inFlight = new Map();
+  }
+
+  // Returns { estimate, source: 'cache' | 'database' | 'model', key, canonical }
+  async estimate(foodName) {
+    const key = normalizeFoodName(foodName);
+
+    if (this.cacheTtlMs > 0) {
+      const cached = await this.cache.get(key);
+      if (cached && Date.parse(cached.expiresAt) > Date.now()) {
+        return { estimate: cached.estimate, source: 'cache', key, canonical: cached.canonical };
+      }
+    }
+
+    const canonical = await this.canonicalFoods.get(key);
+    if (canonical) {
+      const estimate = this.toEstimate(canonical);
+      await this.remember(key, estimate, true);
+      return { estimate, source: 'database', key, canonical: true };
+    }
+
+    // Concurrent requests for the same food share one model call
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, this.estimateWithModel(foodName, key).finally(() => this.inFlight.delete(key)));
+    }
+    return this.inFlight.get(key);
+  }
+
+  async estimateWithModel(foodName, key) {
+    const estimate = await chatGPTService.estimateMacrosFromName(foodName);
+    const canonical = this.isAcceptable(estimate);
+    if (canonical) {
+      // The estimate is still returned when the canonical table cannot be written
+      try {
+        await this.saveCanonical(key, foodName, estimate);
+      } catch (storeError) {
+        console.error(`⚠️ Failed to save canonical food "${key}":`, storeError.message);
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      console.log(`⚠️ Macro estimate for "${foodName}" not added to the canonical table (low confidence or inconsistent energy)`);
+    }
+    await this.remember(key, estimate, canonical);
+    return { estimate, source: 'model', key, canonical };
+  }
+
+  // Accepted estimates are confident and internally consistent: calories within 25% (or 50 kcal)
+  // of 4/4/9 kcal per gram of protein, carbs and fat
+  isAcceptable(estimate) {
+    if (!(estimate.confidence >= this.minConfidence) || !(estimate.calories > 0)) {
+      return false;
+    }
+    const macroCalories = 4 * estimate.protein + 4 * estimate.carbs + 9 * estimate.fat;
+    return Math.abs(macroCalories - estimate.calories) <= Math.max(50, estimate.calories * 0.25);
+  }
+
+  async remember(key, estimate, canonical) {
+    if (this.cacheTtlMs <= 0) {
+      return;
+    }
+    const cachedAt = new Date();
+    await this.cache.set(key, {
+      key,
+      estimate,
+      canonical,
+      cachedAt: cachedAt.toISOString(),
+      expiresAt: new Date(cachedAt.getTime() + this.cacheTtlMs).toISOString()
+    });
+
+    // Drop expired entries, then the oldest beyond MACRO_ESTIMATE_CACHE_MAX_ENTRIES
+    const now = Date.now();
+    const entries = await this.cache.find();
+    const live = entries.filter(entry => Date.parse(entry.expiresAt) > now);
+    if (live.length < entries.length || live.length > this.cacheMaxEntries) {
+      const kept = new Set(live
+        .sort((a, b) => Date.parse(b.cachedAt) - Date.parse(a.cachedAt))
+        .slice(0, this.cacheMaxEntries)
+        .map(entry => entry.key));
+      await this.cache.deleteWhere(entry => entry.key !== key && !kept.has(entry.key));
+    }
+  }
+
+  async saveCanonical(key, foodName, estimate) {
+    const now = new Date().toISOString();
+    return this.canonicalFoods.set(key, {
+      key,
+      name: estimate.name || foodName,
+      ...pickNutrients(estimate),
+      serving_size: estimate.serving_size,
+      confidence: estimate.confidence,
+      source: 'model',
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  toEstimate(record) {
+    return {
+      name: record.name,
+      ...pickNutrients(record),
+      serving_size: record.serving_size,
+      confidence: record.confidence,
+      units: NUTRIENT_UNITS
+    };
+  }
+
+  async listCanonicalFoods() {
+    const records = await this.canonicalFoods.find();
+    return records.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  // Removes a wrong canonical entry so the next query asks the model again
+  async deleteCanonicalFood(key) {
+    await this.cache.delete(key);
+    return this.canonicalFoods.delete(key);
+  }
+}
+
+module.exports = new MacroEstimateService();
@@ -0,0 +1,130 @@
+const { v4: uuidv4 } = require('uuid');
+const FileStore = require('./fileStore');
+const nutritionService = require('./nutritionService');
+const { normalizeFoodName } = require('./foodMatcher');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+class MealLogService {
+  constructor() {
+    this.store = new FileStore('meals', { indexBy: ['userId'] });
+  }
+
+  normalizeMealType(mealType) {
+    const normalized = (mealType || 'snack').toLowerCase();
+    return MEAL_TYPES.includes(normalized) ? normalized : 'snack';
+  }
+
+  // Stored timestamps are UTC ISO strings so they sort and compare consistently; the time as sent
+  // (with the client's UTC offset) is kept as localTimestamp for the local clock in pattern summaries
+  normalizeTimestamp(timestamp) {
+    return new Date(timestamp).toISOString();
+  }
+
+  async createMeal(userId, data) {
+    const now = new Date().toISOString();
+    const foods = data.foods || [];
+    const meal = {
+      id: uuidv4(),
+      userId,
+      analysisId: data.analysisId || null,
+      timestamp: data.timestamp ? this.normalizeTimestamp(data.timestamp) : now,
+      localTimestamp: data.timestamp || now,
+      mealType: this.normalizeMealType(data.mealType),
+      foods,
+      totals: nutritionService.calculateTotals(foods),
+      notes: data.notes || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return this.store.set(meal.id, meal);
+  }
+
+  async getMeal(userId, mealId) {
+    const meal = await this.store.get(mealId);
+    // Meals belonging to another user are reported as missing rather than forbidden
+    return meal && meal.userId === userId ? meal : null;
+  }
+
+  async listMeals(userId, { from, to } = {}) {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+
+    const meals = await this.store.findBy('userId', userId, meal => {
+      const mealTime = Date.parse(meal.timestamp);
+      return mealTime >= fromTime && mealTime <= toTime;
+    });
+
+    return meals.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  async updateMeal(userId, mealId, changes) {
+    const meal = await this.getMeal(userId, mealId);
+    if (!meal) {
+      return null;
+    }
+
+    const updated = { ...meal };
+    if (changes.timestamp !== undefined) {
+      updated.timestamp = this.normalizeTimestamp(changes.timestamp);
+      updated.localTimestamp = changes.timestamp;
+    }
+    if (changes.mealType !== undefined) updated.mealType = this.normalizeMealType(changes.mealType);
+    if (changes.notes !== undefined) updated.notes = changes.notes;
+    if (changes.foods !== undefined) {
+      updated.foods = changes.foods;
+      updated.totals = nutritionService.calculateTotals(changes.foods);
+    }
+    updated.updatedAt = new Date().toISOString();
+
+    return this.store.set(mealId, updated);
+  }
+
+  async deleteMeal(userId, mealId) {
+    const meal = await this.getMeal(userId, mealId);
+    if (!meal) {
+      return false;
+    }
+    return this.store.delete(mealId);
+  }
+
+  // Distinct foods the user has logged, most recently logged version of each name first
+  async listSavedFoods(userId) {
+    const meals = await this.listMeals(userId);
+    const foods = new Map();
+    meals.forEach(meal => {
+      meal.foods.forEach(food => {
+        const key = normalizeFoodName(food.name || '');
+        if (!key) {
+          return;
+        }
+        const previous = foods.get(key);
+        foods.set(key, {
+          key,
+          food,
+          timesLogged: previous ? previous.timesLogged + 1 : 1,
+          lastLoggedAt: meal.timestamp
+        });
+      });
+    });
+    return Array.from(foods.values()).sort((a, b) => Date.parse(b.lastLoggedAt) - Date.parse(a.lastLoggedAt));
+  }
+
+  // Flatten stored meals into the per-food-item shape generatePatternSummary expects
+  toPatternItems(meals) {
+    return meals.flatMap(meal => meal.foods.map(food => ({
+      timestamp: meal.localTimestamp || meal.timestamp,
+      mealType: meal.mealType,
+      ingredients: food.ingredients || [],
+      portionSize: food.portion_size || 'medium',
+      calories: food.calories || 0,
+      protein: food.protein || 0,
+      carbs: food.carbs || 0,
+      fat: food.fat || 0
+    })));
+  }
+}
+
+module.exports = new MealLogService();
+module.exports.MEAL_TYPES = MEAL_TYPES;
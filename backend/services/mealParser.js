@@ -0,0 +1,94 @@
+const { v4: uuidv4 } = require('uuid');
+const nutritionService = require('./nutritionService');
+const analysisStore = require('./analysisStore');
+const foodResolver = require('./foodResolver');
+const { parseQuantity } = require('./portionParser');
+const { NUTRIENT_UNITS, pickNutrients } = require('./nutrientSchema');
+
+// Leading words that describe the eating rather than the food ("then I had a coffee")
+const FILLER_WORDS = /^(?:(?:and|then|also|plus|i|had|ate|drank|some)(?:\s+|$))+/;
+
+// "fish and chips" is one dish while "eggs and a coffee" is two items, so "and" only splits
+// when the next part starts with a quantity
+function splitOnAnd(part) {
+  const pieces = part.split(/\s+and\s+/);
+  const items = [pieces[0]];
+  pieces.slice(1).forEach(piece => {
+    if (parseQuantity(piece.trim().split(/\s+/))) {
+      items.push(piece);
+    } else {
+      items[items.length - 1] += ` and ${piece}`;
+    }
+  });
+  return items;
+}
+
+// "two scrambled eggs, a slice of sourdough with butter and a flat white" →
+// ["two scrambled eggs", "a slice of sourdough", "butter", "a flat white"]
+function splitMealText(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[,;.\n]+(?!\d)|\s+(?:plus|with|&|\+)\s+/)
+    .flatMap(splitOnAnd)
+    .map(part => part.trim().replace(FILLER_WORDS, '').trim())
+    .filter(Boolean);
+}
+
+// Free-text meal descriptions resolved item by item into the same analysis shape /api/analyze-food returns
+class MealParser {
+  async parse(text, { userId } = {}) {
+    const lines = splitMealText(text);
+    const { items, unresolved } = await foodResolver.resolveLines(lines);
+    const foods = items.map((item, index) => this.toFood(item, index));
+    const totals = nutritionService.calculateTotals(foods);
+
+    const analysis = {
+      foods,
+      overallConfidence: foods.length > 0
+        ? Math.round(foods.reduce((sum, food) => sum + food.confidence, 0) / foods.length * 100) / 100
+        : 0,
+      inputText: text,
+      imageType: 'text',
+      suggestions: [],
+      totals,
+      units: NUTRIENT_UNITS,
+      insights: nutritionService.generateHealthInsights(foods, totals),
+      unresolved,
+      timestamp: new Date().toISOString()
+    };
+
+    // Stored like photo analyses so the app can log it with just the analysisId
+    const analysisId = uuidv4();
+    try {
+      await analysisStore.saveAnalysis(analysisId, { analysis, userId });
+    } catch (storeError) {
+      console.error('⚠️ Failed to store parsed meal:', storeError.message);
+    }
+
+    return {
+      analysisId,
+      timestamp: analysis.timestamp,
+      analysis
+    };
+  }
+
+  toFood(item, index) {
+    return {
+      id: `food_${Date.now()}_${index}`,
+      name: item.name,
+      ...pickNutrients(item),
+      // A bare count ("two") reads better with the food name attached
+      serving_size: item.quantity ? item.line : (item.estimateServing || '1 serving'),
+      serving_grams: item.grams,
+      serving_grams_method: item.grams_method,
+      confidence: item.confidence,
+      ingredients: [],
+      source: item.source,
+      match: item.match,
+      verified: item.source === 'database'
+    };
+  }
+}
+
+module.exports = new MealParser();
+module.exports.splitMealText = splitMealText;
@@ -0,0 +1,103 @@
+// Single definition of the nutrient fields every endpoint reports, with their units
+
+const MACRO_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+const MICRONUTRIENT_FIELDS = [
+  'saturated_fat', 'sugar', 'sodium', 'potassium', 'cholesterol', 'calcium', 'iron', 'vitamin_c', 'vitamin_d'
+];
+
+const NUTRIENT_FIELDS = [...MACRO_FIELDS, ...MICRONUTRIENT_FIELDS];
+
+const NUTRIENT_UNITS = {
+  calories: 'kcal',
+  protein: 'g',
+  carbs: 'g',
+  fat: 'g',
+  fiber: 'g',
+  saturated_fat: 'g',
+  sugar: 'g',
+  sodium: 'mg',
+  potassium: 'mg',
+  cholesterol: 'mg',
+  calcium: 'mg',
+  iron: 'mg',
+  vitamin_c: 'mg',
+  vitamin_d: 'mcg'
+};
+
+// Calories are whole numbers, everything else one decimal place; unknown (null) stays null
+function roundNutrient(field, value) {
+  if (value === null) {
+    return null;
+  }
+  return field === 'calories' ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+// A reported value as a number, or null when it is missing, blank or not numeric
+function toNutrientValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Only the nutrient fields of an object. Missing macros count as 0; a missing micronutrient is null,
+// so an unknown value is never shown as a measured zero
+function pickNutrients(source) {
+  return NUTRIENT_FIELDS.reduce((nutrients, field) => {
+    const value = toNutrientValue(source[field]);
+    nutrients[field] = value === null && MACRO_FIELDS.includes(field) ? 0 : value;
+    return nutrients;
+  }, {});
+}
+
+// Nutrient fields multiplied by factor and rounded, unknown values kept null
+function scaleNutrients(source, factor = 1) {
+  const nutrients = pickNutrients(source);
+  NUTRIENT_FIELDS.forEach(field => {
+    nutrients[field] = nutrients[field] === null ? null : roundNutrient(field, nutrients[field] * factor);
+  });
+  return nutrients;
+}
+
+// Ensure every nutrient field is present on a food: numeric macros, micronutrients numeric or null
+function withNutrientDefaults(food) {
+  return { ...food, ...pickNutrients(food) };
+}
+
+/**
+ * Sum the nutrients of foods (or of meal totals). A micronutrient no item reported is null; one
+ * reported by only some items is summed over those and listed in partialNutrients, so the total
+ * reads as "at least"
+ */
+function sumNutrients(items) {
+  const totals = {};
+  const partialNutrients = [];
+  NUTRIENT_FIELDS.forEach(field => {
+    const known = items.map(item => toNutrientValue(item && item[field])).filter(value => value !== null);
+    const isMacro = MACRO_FIELDS.includes(field);
+    totals[field] = known.length === 0 && items.length > 0 && !isMacro
+      ? null
+      : roundNutrient(field, known.reduce((sum, value) => sum + value, 0));
+    const inheritedPartial = items.some(item => item && Array.isArray(item.partialNutrients) && item.partialNutrients.includes(field));
+    if (!isMacro && known.length > 0 && (known.length < items.length || inheritedPartial)) {
+      partialNutrients.push(field);
+    }
+  });
+  totals.partialNutrients = partialNutrients;
+  return totals;
+}
+
+module.exports = {
+  MACRO_FIELDS,
+  MICRONUTRIENT_FIELDS,
+  NUTRIENT_FIELDS,
+  NUTRIENT_UNITS,
+  roundNutrient,
+  toNutrientValue,
+  pickNutrients,
+  scaleNutrients,
+  withNutrientDefaults,
+  sumNutrients
+};
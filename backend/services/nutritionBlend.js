@@ -0,0 +1,51 @@
+// Combines database values (already scaled to the serving) with the model's whole-serving estimate
+
+const { NUTRIENT_FIELDS, roundNutrient, toNutrientValue } = require('./nutrientSchema');
+
+const STRATEGIES = {
+  // Trust the database whenever a match was found
+  database: (databaseValue) => databaseValue,
+  // Keep the model's estimate; the database match only marks the food as verified
+  model: (databaseValue, modelValue) => modelValue,
+  // Confidence-weighted average: confident model estimates lean towards the database
+  weighted: (databaseValue, modelValue, confidence) => (databaseValue * confidence) + (modelValue * (1 - confidence))
+};
+
+function getStrategyName() {
+  const name = (process.env.NUTRITION_BLEND_STRATEGY || 'weighted').toLowerCase();
+  if (!STRATEGIES[name]) {
+    console.error(`⚠️ Unknown NUTRITION_BLEND_STRATEGY "${name}", using "weighted"`);
+    return 'weighted';
+  }
+  return name;
+}
+
+/**
+ * Blend database and model values field by field.
+ * A field the model did not report (missing or null) falls back to the database value under every
+ * strategy, and a field the database lacks takes the model value; unknown on both sides stays null.
+ * confidence is clamped to 0-1; a non-numeric confidence counts as 0.5.
+ */
+function blendNutrients(databaseValues, modelValues, { strategy = getStrategyName(), confidence = 0.5, fields = NUTRIENT_FIELDS } = {}) {
+  const blend = STRATEGIES[strategy];
+  if (!blend) {
+    throw new Error(`Unknown blend strategy "${strategy}". Expected one of: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  const weight = Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5;
+
+  return fields.reduce((blended, field) => {
+    const databaseValue = toNutrientValue(databaseValues[field]);
+    const modelValue = toNutrientValue(modelValues[field]);
+    const value = databaseValue === null || modelValue === null
+      ? (databaseValue === null ? modelValue : databaseValue)
+      : blend(databaseValue, modelValue, weight);
+    blended[field] = roundNutrient(field, value);
+    return blended;
+  }, {});
+}
+
+module.exports = {
+  blendNutrients,
+  getStrategyName,
+  STRATEGIES
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { indexTokens } = require('./foodMatcher');
+const { NUTRIENT_FIELDS, pickNutrients } = require('./nutrientSchema');
+
+// FoodData Central nutrient numbers for each field, in order of preference.
+// Foundation Foods often only report Atwater energy (957/958) instead of 208.
+const FDC_NUTRIENT_NUMBERS = {
+  calories: ['208', '958', '957'],
+  protein: ['203'],
+  carbs: ['205'],
+  fat: ['204'],
+  fiber: ['291'],
+  sugar: ['269', '539'],
+  saturated_fat: ['606'],
+  sodium: ['307'],
+  potassium: ['306'],
+  cholesterol: ['601'],
+  calcium: ['301'],
+  iron: ['303'],
+  vitamin_c: ['401'],
+  vitamin_d: ['328']
+};
+
+const BUNDLED_DATA_PATH = path.join(__dirname, '..', 'nutrition-data', 'usda-common-foods.csv');
+
+// Splits one CSV line, honouring double-quoted fields and "" escapes
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function readCsv(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim().length > 0);
+  const header = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return header.reduce((row, column, index) => {
+      row[column] = values[index];
+      return row;
+    }, {});
+  });
+}
+
+// Streams a CSV row by row, for FDC files too large to read into memory (food_nutrient.csv is several GB)
+async function streamCsv(filePath, onRow) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let header = null;
+  for await (const line of lines) {
+    if (line.trim().length === 0) {
+      continue;
+    }
+    const values = parseCsvLine(line);
+    if (!header) {
+      header = values;
+      continue;
+    }
+    onRow(header.reduce((row, column, index) => {
+      row[column] = values[index];
+      return row;
+    }, {}));
+  }
+}
+
+const WANTED_FDC_NUMBERS = new Set(Object.values(FDC_NUTRIENT_NUMBERS).flat());
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Picks the first available FDC nutrient number for each field from a { number: amount } map;
+// micronutrients FDC does not report for a food stay null
+function nutrientsFromFdcAmounts(amounts) {
+  return pickNutrients(NUTRIENT_FIELDS.reduce((nutrients, field) => {
+    const number = FDC_NUTRIENT_NUMBERS[field].find(candidate => amounts[candidate] !== undefined);
+    nutrients[field] = number ? amounts[number] : null;
+    return nutrients;
+  }, {}));
+}
+
+// In-memory, token-indexed store of per-100g nutrition records imported from USDA FoodData Central.
+// Every record carries all NUTRIENT_FIELDS in the units listed in nutrientSchema (null when unknown).
+class NutritionDatabase {
+  constructor() {
+    this.foods = new Map();
+    this.tokenIndex = new Map();
+  }
+
+  get size() {
+    return this.foods.size;
+  }
+
+  add(record) {
+    const key = normalizeName(record.name);
+    if (!key) {
+      return;
+    }
+
+    this.foods.set(key, { ...record, name: key });
+    indexTokens(key).forEach(token => {
+      if (!this.tokenIndex.has(token)) {
+        this.tokenIndex.set(token, new Set());
+      }
+      this.tokenIndex.get(token).add(key);
+    });
+  }
+
+  get(name) {
+    return this.foods.get(normalizeName(name)) || null;
+  }
+
+  entries() {
+    return this.foods.entries();
+  }
+
+  // Keys of every food sharing at least one (stemmed) token with the given list
+  keysForTokens(tokens) {
+    const keys = new Set();
+    tokens.forEach(token => {
+      const matches = this.tokenIndex.get(token);
+      if (matches) {
+        matches.forEach(key => keys.add(key));
+      }
+    });
+    return keys;
+  }
+
+  // Supports three layouts: the bundled flat CSV (one food per row, per-100g columns),
+  // an FDC JSON download (SR Legacy or Foundation) and an unzipped FDC CSV download directory.
+  // Only the directory layout is streamed; files are read before the returned promise settles
+  async loadFile(filePath) {
+    const before = this.size;
+    const stats = fs.statSync(filePath);
+
+    if (stats.isDirectory()) {
+      await this.loadFdcCsvDirectory(filePath);
+    } else if (filePath.endsWith('.json')) {
+      this.loadFdcJson(filePath);
+    } else {
+      this.loadFlatCsv(filePath);
+    }
+
+    return this.size - before;
+  }
+
+  loadFlatCsv(filePath) {
+    readCsv(filePath).forEach(row => {
+      this.add({
+        name: row.name,
+        description: row.description || row.name,
+        fdcId: row.fdc_id || null,
+        source: 'usda',
+        ...pickNutrients(row)
+      });
+    });
+  }
+
+  loadFdcJson(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const foods = data.SRLegacyFoods || data.FoundationFoods || data.SurveyFoods || (Array.isArray(data) ? data : []);
+
+    foods.forEach(food => {
+      const amounts = {};
+      (food.foodNutrients || []).forEach(foodNutrient => {
+        const number = foodNutrient.nutrient && foodNutrient.nutrient.number;
+        if (number !== undefined && foodNutrient.amount !== undefined) {
+          amounts[String(number)] = foodNutrient.amount;
+        }
+      });
+      this.add({
+        name: food.description,
+        description: food.description,
+        fdcId: food.fdcId ? String(food.fdcId) : null,
+        source: 'usda',
+        ...nutrientsFromFdcAmounts(amounts)
+      });
+    });
+  }
+
+  // Only amounts for the nutrients in FDC_NUTRIENT_NUMBERS are kept while streaming food_nutrient.csv
+  async loadFdcCsvDirectory(dirPath) {
+    const nutrientNumbers = {};
+    await streamCsv(path.join(dirPath, 'nutrient.csv'), row => {
+      const number = String(parseFloat(row.nutrient_nbr));
+      if (WANTED_FDC_NUMBERS.has(number)) {
+        nutrientNumbers[row.id] = number;
+      }
+    });
+
+    const amountsByFood = {};
+    await streamCsv(path.join(dirPath, 'food_nutrient.csv'), row => {
+      const number = nutrientNumbers[row.nutrient_id];
+      if (number !== undefined) {
+        amountsByFood[row.fdc_id] = amountsByFood[row.fdc_id] || {};
+        amountsByFood[row.fdc_id][number] = row.amount;
+      }
+    });
+
+    await streamCsv(path.join(dirPath, 'food.csv'), row => {
+      const amounts = amountsByFood[row.fdc_id];
+      if (!amounts) {
+        return;
+      }
+      this.add({
+        name: row.description,
+        description: row.description,
+        fdcId: row.fdc_id,
+        source: 'usda',
+        ...nutrientsFromFdcAmounts(amounts)
+      });
+    });
+  }
+}
+
+module.exports = NutritionDatabase;
+module.exports.BUNDLED_DATA_PATH = BUNDLED_DATA_PATH;
+module.exports.normalizeName = normalizeName;
@@ -1,47 +1,96 @@
+const NutritionDatabase = require('./nutritionDatabase');
+const FoodMatcher = require('./foodMatcher');
+const { analyzeName } = FoodMatcher;
+const { parseServingSize } = require('./portionParser');
+const { blendNutrients, getStrategyName } = require('./nutritionBlend');
+const { NUTRIENT_FIELDS, NUTRIENT_UNITS, pickNutrients, scaleNutrients, withNutrientDefaults, sumNutrients } = require('./nutrientSchema');
+const targetsService = require('./targetsService');
+const scoringService = require('./scoringService');
+
+// Meal thresholds as shares of one meal's targets (targetsService perMeal). With the default
+// 2000 kcal maintenance targets they reproduce the former fixed limits (20g protein, 5g fiber, ...)
+const MEAL_THRESHOLDS = {
+  lowProtein: 0.6,
+  highProtein: 1.5,
+  goalProtein: 0.75,
+  lowFiber: 0.5,
+  lowFat: 0.5,
+  highFat: 1.75,
+  lowCalories: 0.3,
+  highCalories: 1.2,
+  goalCalories: 0.75,
+  smallNextMeal: 0.45,
+  // Share of the daily calories one meal may take while losing weight
+  weightLossMealCalories: 0.4
+};
+
 class NutritionService {
   constructor() {
-    // Basic nutrition database (in production, this would be a real database)
-    this.nutritionDatabase = {
-      // Common foods with nutrition data
-      "chicken breast": { calories: 165, protein: 31, carbs: 0, fat: 3.6, fiber: 0 },
-      "brown rice": { calories: 112, protein: 2.6, carbs: 22, fat: 0.9, fiber: 1.8 },
-      "salmon": { calories: 208, protein: 25, carbs: 0, fat: 12, fiber: 0 },
-      "broccoli": { calories: 34, protein: 2.8, carbs: 7, fat: 0.4, fiber: 2.6 },
-      "apple": { calories: 52, protein: 0.3, carbs: 14, fat: 0.2, fiber: 2.4 },
-      "banana": { calories: 89, protein: 1.1, carbs: 23, fat: 0.3, fiber: 2.6 },
-      "avocado": { calories: 160, protein: 2, carbs: 9, fat: 15, fiber: 7 },
-      "eggs": { calories: 155, protein: 13, carbs: 1.1, fat: 11, fiber: 0 },
-      "quinoa": { calories: 120, protein: 4.4, carbs: 22, fat: 1.9, fiber: 2.8 },
-      "sweet potato": { calories: 86, protein: 1.6, carbs: 20, fat: 0.1, fiber: 3 }
-    };
+    // Per-100g USDA FoodData Central values: the bundled common-foods snapshot plus any
+    // full FDC downloads listed in NUTRITION_DATA_PATHS (comma-separated files or directories)
+    this.nutritionDatabase = new NutritionDatabase();
+    const dataPaths = [
+      NutritionDatabase.BUNDLED_DATA_PATH,
+      ...(process.env.NUTRITION_DATA_PATHS || '').split(',').map(p => p.trim()).filter(Boolean)
+    ];
+    this.nutritionDataReady = this.loadNutritionData(dataPaths);
+    
+    this.foodMatcher = new FoodMatcher(this.nutritionDatabase);
   }
 
-  async enhanceWithNutritionData(chatGPTResponse) {
+  // Loaded one path at a time. The bundled CSV is read synchronously before the first await, so it is
+  // available as soon as the service exists; FDC download directories stream in the background
+  async loadNutritionData(dataPaths) {
+    for (const dataPath of dataPaths) {
+      try {
+        const imported = await this.nutritionDatabase.loadFile(dataPath);
+        console.log(`🥗 Loaded ${imported} foods from ${dataPath}`);
+      } catch (error) {
+        console.error(`❌ Failed to load nutrition data from ${dataPath}:`, error.message);
+      }
+    }
+  }
+
+  async enhanceWithNutritionData(chatGPTResponse, options = {}) {
     try {
-      const enhancedFoods = chatGPTResponse.foods.map((food, index) => {
+      // Multi-image analyses can still list the same food once per photo
+      const foods = options.dedupe ? this.dedupeFoods(chatGPTResponse.foods) : chatGPTResponse.foods;
+      const enhancedFoods = foods.map((food, index) => {
         // Try to match with our nutrition database
         const matchedFood = this.findBestMatch(food.name);
         
-        if (matchedFood) {
-          // Use database values as base, adjust by confidence
-          const confidence = food.confidence || 0.5;
+        // Database values are per 100g while the model estimates the whole serving,
+        // so the serving has to be converted to grams before the two can be blended.
+        // A flat small/medium/large estimate is no weight to scale by (a pat of butter is not 100g)
+        const portion = parseServingSize(food.serving_size, food.name, food.portion_size);
+        const servingGrams = portion ? portion.grams : null;
+        const weighed = portion && portion.method !== 'portion_estimate';
+        
+        if (matchedFood && weighed) {
+          // Combine database values scaled to the serving with the model estimate (NUTRITION_BLEND_STRATEGY)
+          const strategy = getStrategyName();
+          const databaseValues = this.scaleNutrients(matchedFood, servingGrams);
           return {
             id: `food_${Date.now()}_${index}`, // Add unique ID
-            ...food,
-            calories: Math.round((matchedFood.calories * confidence) + (food.calories * (1 - confidence))),
-            protein: Math.round((matchedFood.protein * confidence) + (food.protein * (1 - confidence)) * 10) / 10,
-            carbs: Math.round((matchedFood.carbs * confidence) + (food.carbs * (1 - confidence)) * 10) / 10,
-            fat: Math.round((matchedFood.fat * confidence) + (food.fat * (1 - confidence)) * 10) / 10,
-            fiber: Math.round((matchedFood.fiber * confidence) + (food.fiber * (1 - confidence)) * 10) / 10,
+            ...withNutrientDefaults(food),
+            ...blendNutrients(databaseValues, food, { strategy, confidence: food.confidence ?? 0.5 }),
+            blend_strategy: strategy,
+            serving_grams: servingGrams,
+            serving_grams_method: portion.method,
+            match: this.describeMatch(matchedFood),
             verified: true
           };
         } else {
-          // Use ChatGPT estimates with lower confidence
+          // Use ChatGPT estimates with lower confidence. A database match without a serving weight
+          // cannot be scaled, so it is reported but not blended
           return {
             id: `food_${Date.now()}_${index}`, // Add unique ID
-            ...food,
+            ...withNutrientDefaults(food),
+            serving_grams: servingGrams,
+            serving_grams_method: portion ? portion.method : null,
+            match: matchedFood ? this.describeMatch(matchedFood) : null,
             verified: false,
-            confidence: (food.confidence || 0.5) * 0.8 // Reduce confidence for unverified foods
+            confidence: (food.confidence ?? 0.5) * 0.8 // Reduce confidence for unverified foods
           };
         }
       });
@@ -56,8 +105,10 @@ class NutritionService {
         foods: enhancedFoods,
         overallConfidence: chatGPTResponse.overall_confidence || chatGPTResponse.overallConfidence || 0.5,
         imageDescription: chatGPTResponse.image_description || chatGPTResponse.imageDescription || "Food image",
+        imageType: 'food',
         suggestions: chatGPTResponse.suggestions || [],
         totals,
+        units: NUTRIENT_UNITS,
         insights,
         timestamp: new Date().toISOString()
       };
@@ -68,112 +119,227 @@ class NutritionService {
     }
   }
 
-  findBestMatch(foodName) {
-    const normalizedName = foodName.toLowerCase().trim();
-    
-    // Direct match
-    if (this.nutritionDatabase[normalizedName]) {
-      return this.nutritionDatabase[normalizedName];
-    }
-    
-    // Partial match
-    for (const [key, value] of Object.entries(this.nutritionDatabase)) {
-      if (normalizedName.includes(key) || key.includes(normalizedName)) {
-        return value;
+  // Foods naming the same thing ("grilled chicken breast" / "chicken breast") collapse into the
+  // most confident entry; they are different views of one item, so values are not summed
+  dedupeFoods(foods) {
+    const byKey = new Map();
+    foods.forEach(food => {
+      const key = analyzeName(food.name || '').core.map(({ token }) => token).sort().join(' ') || food.name;
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, food);
+        return;
       }
+      const [kept, dropped] = (food.confidence || 0) > (existing.confidence || 0) ? [food, existing] : [existing, food];
+      byKey.set(key, {
+        ...kept,
+        ingredients: [...new Set([...(kept.ingredients || []), ...(dropped.ingredients || [])])]
+      });
+    });
+    return [...byKey.values()];
+  }
+
+  // Leftovers mode: foods are estimated for the full served portion with the share left in the
+  // after photo (remaining_fraction); reduce each food to what was actually eaten
+  applyLeftovers(analysis) {
+    const foods = analysis.foods.map(food => {
+      const remaining = Math.min(1, Math.max(0, Number(food.remaining_fraction) || 0));
+      const eaten = 1 - remaining;
+      const served = pickNutrients(food);
+      const consumed = scaleNutrients(served, eaten);
+      return {
+        ...food,
+        ...consumed,
+        serving_grams: food.serving_grams ? Math.round(food.serving_grams * eaten) : food.serving_grams,
+        remaining_fraction: remaining,
+        served: { ...served, serving_size: food.serving_size, serving_grams: food.serving_grams }
+      };
+    });
+    const totals = this.calculateTotals(foods);
+
+    return {
+      ...analysis,
+      foods,
+      totals,
+      servedTotals: analysis.totals,
+      insights: this.generateHealthInsights(foods, totals)
+    };
+  }
+
+  // Same analysis shape as enhanceWithNutritionData, built from a transcribed nutrition label.
+  // Label values are exact, so there is no database blending
+  enhanceWithLabelData(label) {
+    const food = this.createLabelFood({
+      name: label.productName || 'Packaged food',
+      nutrients: label.nutrients,
+      servingSize: label.servingSize,
+      servingGrams: label.servingGrams,
+      match: null,
+      confidence: label.confidence
+    });
+    const totals = this.calculateTotals([food]);
+
+    return {
+      foods: [food],
+      overallConfidence: label.confidence,
+      imageDescription: label.productName ? `Nutrition label: ${label.productName}` : 'Nutrition label',
+      imageType: 'nutrition_label',
+      label: {
+        servingSize: label.servingSize,
+        servingGrams: label.servingGrams,
+        servingsPerContainer: label.servingsPerContainer
+      },
+      suggestions: [],
+      totals,
+      units: NUTRIENT_UNITS,
+      insights: this.generateHealthInsights([food], totals),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Best database match scoring at least NUTRITION_MATCH_MIN_SCORE, with the score attached
+  findBestMatch(foodName) {
+    const best = this.foodMatcher.findBestMatch(foodName);
+    if (!best) {
+      return null;
     }
     
-    return null;
+    return {
+      ...this.nutritionDatabase.get(best.name),
+      matchScore: best.score
+    };
+  }
+
+  // Ranked database candidates for a food name, including those below the match threshold
+  findCandidates(foodName, limit = 5) {
+    return this.foodMatcher.findCandidates(foodName, { limit });
+  }
+
+  // Per-100g database values scaled to a serving mass; nutrients the database lacks stay null
+  scaleNutrients(per100g, grams) {
+    const factor = grams / 100;
+    const nutrients = pickNutrients(per100g);
+    return NUTRIENT_FIELDS.reduce((scaled, field) => {
+      scaled[field] = nutrients[field] === null ? null : nutrients[field] * factor;
+      return scaled;
+    }, {});
+  }
+
+  // A food whose values come straight from a printed label (barcode lookup, label photo)
+  createLabelFood({ name, nutrients, servingSize, servingGrams, match, confidence = 1 }) {
+    return {
+      id: `food_${Date.now()}_0`,
+      name,
+      ...scaleNutrients(nutrients),
+      serving_size: servingSize,
+      serving_grams: servingGrams,
+      serving_grams_method: 'label',
+      confidence,
+      ingredients: [],
+      match,
+      verified: true
+    };
   }
 
+  describeMatch(matchedFood) {
+    return {
+      name: matchedFood.name,
+      description: matchedFood.description,
+      score: matchedFood.matchScore,
+      source: matchedFood.source,
+      fdcId: matchedFood.fdcId || null
+    };
+  }
+
+  // Micronutrients no food reported are null; those only some foods reported are listed in
+  // totals.partialNutrients (see nutrientSchema.sumNutrients)
   calculateTotals(foods) {
-    return foods.reduce((totals, food) => {
-      totals.calories += food.calories || 0;
-      totals.protein += food.protein || 0;
-      totals.carbs += food.carbs || 0;
-      totals.fat += food.fat || 0;
-      totals.fiber += food.fiber || 0;
-      return totals;
-    }, {
-      calories: 0,
-      protein: 0,
-      carbs: 0,
-      fat: 0,
-      fiber: 0
-    });
+    return sumNutrients(foods);
   }
 
-  generateHealthInsights(foods, totals) {
+  // targets: targetsService output; defaults to 2000 kcal maintenance when the user's are unknown
+  generateHealthInsights(foods, totals, targets = targetsService.resolveTargets()) {
     const insights = [];
+    const perMeal = targets.perMeal;
     
     // Protein analysis
-    if (totals.protein < 20) {
+    if (totals.protein < perMeal.protein * MEAL_THRESHOLDS.lowProtein) {
       insights.push("Consider adding more protein to this meal");
-    } else if (totals.protein > 50) {
+    } else if (totals.protein > perMeal.protein * MEAL_THRESHOLDS.highProtein) {
       insights.push("High protein meal - great for muscle building!");
     }
     
     // Fiber analysis
-    if (totals.fiber < 5) {
+    if (totals.fiber < perMeal.fiber * MEAL_THRESHOLDS.lowFiber) {
       insights.push("Add more fiber-rich foods like vegetables or whole grains");
     }
     
     // Fat analysis
-    if (totals.fat < 10) {
+    if (totals.fat < perMeal.fat * MEAL_THRESHOLDS.lowFat) {
       insights.push("Consider adding healthy fats like avocado or nuts");
-    } else if (totals.fat > 40) {
+    } else if (totals.fat > perMeal.fat * MEAL_THRESHOLDS.highFat) {
       insights.push("This meal is high in fat - consider lighter options");
     }
     
     // Calorie analysis
-    if (totals.calories < 200) {
+    if (totals.calories < perMeal.calories * MEAL_THRESHOLDS.lowCalories) {
       insights.push("This might be a light meal - consider adding more food");
-    } else if (totals.calories > 800) {
+    } else if (totals.calories > perMeal.calories * MEAL_THRESHOLDS.highCalories) {
       insights.push("High calorie meal - consider portion control");
     }
     
     return insights;
   }
 
-  async generateSuggestions(foodItems, userGoals) {
+  // userGoals: a targets profile (see targetsService) or the legacy { goal, dailyCalories };
+  // options.targets skips the calculation when the caller already has them (saved profile) and
+  // options.ruleSet picks the scoring rule set (see scoringService)
+  async generateSuggestions(foodItems, userGoals, options = {}) {
+    let targets = null;
     try {
       const suggestions = [];
+      targets = options.targets || targetsService.resolveTargets(userGoals);
+      const perMeal = targets.perMeal;
       
       // Analyze current meal
       const totals = this.calculateTotals(foodItems);
       
       // Goal-based suggestions
-      if (userGoals.goal === 'weight_loss') {
-        if (totals.calories > userGoals.dailyCalories * 0.4) {
+      if (targets.goal === 'weight_loss') {
+        if (totals.calories > targets.calories * MEAL_THRESHOLDS.weightLossMealCalories) {
           suggestions.push("This meal is high in calories for weight loss. Consider smaller portions.");
         }
-        if (totals.fiber < 10) {
+        if (totals.fiber < perMeal.fiber) {
           suggestions.push("Add more fiber-rich foods to help with satiety and weight loss.");
         }
       }
       
-      if (userGoals.goal === 'muscle_gain') {
-        if (totals.protein < 30) {
+      if (targets.goal === 'muscle_gain') {
+        if (totals.protein < perMeal.protein * MEAL_THRESHOLDS.goalProtein) {
           suggestions.push("Add more protein to support muscle growth.");
         }
-        if (totals.calories < 500) {
+        if (totals.calories < perMeal.calories * MEAL_THRESHOLDS.goalCalories) {
           suggestions.push("Consider adding more calories for muscle building.");
         }
       }
       
       // General health suggestions
-      if (totals.fiber < 5) {
+      if (totals.fiber < perMeal.fiber * MEAL_THRESHOLDS.lowFiber) {
         suggestions.push("Add vegetables or whole grains for more fiber.");
       }
       
-      if (totals.protein < 20) {
+      if (totals.protein < perMeal.protein * MEAL_THRESHOLDS.lowProtein) {
         suggestions.push("Include a protein source like chicken, fish, or beans.");
       }
       
+      const mealScore = scoringService.scoreMeal({ foods: foodItems, totals }, targets, { ruleSet: options.ruleSet });
+      
       return {
         suggestions,
-        mealScore: this.calculateMealScore(totals, userGoals),
-        nextMealAdvice: this.getNextMealAdvice(totals, userGoals)
+        mealScore: mealScore.score,
+        mealScoreBreakdown: mealScore,
+        nextMealAdvice: this.getNextMealAdvice(totals, targets),
+        targets
       };
       
     } catch (error) {
@@ -181,42 +347,22 @@ class NutritionService {
       return {
         suggestions: ["Unable to generate suggestions at this time"],
         mealScore: 0,
-        nextMealAdvice: "Try to include a variety of nutrients in your next meal"
+        mealScoreBreakdown: null,
+        nextMealAdvice: "Try to include a variety of nutrients in your next meal",
+        targets
       };
     }
   }
 
-  calculateMealScore(totals, userGoals) {
-    let score = 0;
-    
-    // Protein score (0-25 points)
-    const proteinScore = Math.min(25, (totals.protein / 30) * 25);
-    score += proteinScore;
-    
-    // Fiber score (0-25 points)
-    const fiberScore = Math.min(25, (totals.fiber / 10) * 25);
-    score += fiberScore;
-    
-    // Calorie appropriateness (0-25 points)
-    const calorieScore = userGoals.dailyCalories ? 
-      Math.max(0, 25 - Math.abs(totals.calories - (userGoals.dailyCalories * 0.3)) / 50) : 15;
-    score += calorieScore;
-    
-    // Variety score (0-25 points)
-    const varietyScore = Math.min(25, totals.fiber > 0 && totals.protein > 0 ? 25 : 15);
-    score += varietyScore;
-    
-    return Math.round(score);
-  }
-
-  getNextMealAdvice(totals, userGoals) {
-    if (totals.protein < 20) {
+  getNextMealAdvice(totals, targets) {
+    const perMeal = targets.perMeal;
+    if (totals.protein < perMeal.protein * MEAL_THRESHOLDS.lowProtein) {
       return "Your next meal should focus on protein-rich foods like chicken, fish, or legumes.";
     }
-    if (totals.fiber < 5) {
+    if (totals.fiber < perMeal.fiber * MEAL_THRESHOLDS.lowFiber) {
       return "Add more vegetables and whole grains to your next meal for better fiber intake.";
     }
-    if (totals.calories < 300) {
+    if (totals.calories < perMeal.calories * MEAL_THRESHOLDS.smallNextMeal) {
       return "Consider a more substantial meal next time to meet your daily calorie needs.";
     }
     return "Great meal! Continue with balanced nutrition in your next meal.";
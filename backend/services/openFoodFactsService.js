@@ -0,0 +1,191 @@
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { NUTRIENT_FIELDS } = require('./nutrientSchema');
+
+// Open Food Facts nutriment keys for each schema field, with the factor converting OFF's
+// units (grams, kcal) into ours (sodium and friends in mg, vitamin D in mcg)
+const OFF_NUTRIMENTS = {
+  calories: { key: 'energy-kcal', factor: 1 },
+  protein: { key: 'proteins', factor: 1 },
+  carbs: { key: 'carbohydrates', factor: 1 },
+  fat: { key: 'fat', factor: 1 },
+  fiber: { key: 'fiber', factor: 1 },
+  saturated_fat: { key: 'saturated-fat', factor: 1 },
+  sugar: { key: 'sugars', factor: 1 },
+  sodium: { key: 'sodium', factor: 1000 },
+  potassium: { key: 'potassium', factor: 1000 },
+  cholesterol: { key: 'cholesterol', factor: 1000 },
+  calcium: { key: 'calcium', factor: 1000 },
+  iron: { key: 'iron', factor: 1000 },
+  vitamin_c: { key: 'vitamin-c', factor: 1000 },
+  vitamin_d: { key: 'vitamin-d', factor: 1000000 }
+};
+
+const KJ_PER_KCAL = 4.184;
+
+/**
+ * Normalize a UPC/EAN to the form used as the lookup key (GTIN-13 for UPC-A and EAN-13, EAN-8 as is).
+ * Returns null when the code is not a retail barcode or its check digit is wrong.
+ */
+function normalizeBarcode(rawCode) {
+  let code = String(rawCode || '').replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(code) || ![8, 12, 13, 14].includes(code.length)) {
+    return null;
+  }
+
+  // GTIN check digit: weights 3,1,3,... from the right, excluding the check digit itself
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  if ((10 - (sum % 10)) % 10 !== checkDigit) {
+    return null;
+  }
+
+  if (code.length === 12) {
+    code = `0${code}`;
+  } else if (code.length === 14 && code.startsWith('0')) {
+    code = code.slice(1);
+  }
+  return code;
+}
+
+function readNutriment(source, key, suffix) {
+  const value = parseFloat(source[`${key}_${suffix}`]);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Per-100g and per-serving values from either a JSONL product's nutriments or a CSV row
+function extractNutrients(source, suffix) {
+  const nutrients = {};
+  let found = false;
+  NUTRIENT_FIELDS.forEach(field => {
+    const { key, factor } = OFF_NUTRIMENTS[field];
+    let value = readNutriment(source, key, suffix);
+    if (value === null && field === 'calories') {
+      const kilojoules = readNutriment(source, 'energy', suffix);
+      value = kilojoules === null ? null : kilojoules / KJ_PER_KCAL;
+    }
+    if (value !== null) {
+      nutrients[field] = value * factor;
+      found = true;
+    }
+  });
+  return found ? nutrients : null;
+}
+
+// Products from a locally imported Open Food Facts dump, indexed by barcode
+class OpenFoodFactsService {
+  constructor() {
+    this.products = new Map();
+    this.dataPath = process.env.OPEN_FOOD_FACTS_PATH || null;
+    this.status = this.dataPath ? 'loading' : 'disabled';
+    if (this.dataPath) {
+      this.load(this.dataPath);
+    }
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  // Streams the dump line by line: the JSONL export (openfoodfacts-products.jsonl[.gz])
+  // or the tab-separated CSV export (en.openfoodfacts.org.products.csv[.gz])
+  async load(dataPath) {
+    const startTime = Date.now();
+    try {
+      let input = fs.createReadStream(dataPath);
+      if (dataPath.endsWith('.gz')) {
+        input = input.pipe(zlib.createGunzip());
+      }
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      const isJsonl = /\.jsonl?(\.gz)?$/.test(dataPath);
+      let header = null;
+
+      for await (const line of lines) {
+        if (!line) {
+          continue;
+        }
+        if (isJsonl) {
+          this.addJsonProduct(line);
+        } else if (!header) {
+          header = line.split('\t');
+        } else {
+          const values = line.split('\t');
+          this.addProduct(header.reduce((row, column, index) => {
+            row[column] = values[index];
+            return row;
+          }, {}), null);
+        }
+      }
+
+      this.status = 'ready';
+      console.log(`🏷️ Loaded ${this.products.size} Open Food Facts products in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      this.status = 'failed';
+      console.error(`❌ Failed to load Open Food Facts data from ${dataPath}:`, error.message);
+    }
+  }
+
+  addJsonProduct(line) {
+    try {
+      const product = JSON.parse(line);
+      this.addProduct(product, product.nutriments || {});
+    } catch (error) {
+      // Skip malformed lines rather than abandoning the whole import
+    }
+  }
+
+  addProduct(product, nutriments) {
+    const code = normalizeBarcode(product.code);
+    const source = nutriments || product;
+    const per100g = extractNutrients(source, '100g');
+    if (!code || !per100g) {
+      return;
+    }
+
+    const servingQuantity = parseFloat(product.serving_quantity);
+    this.products.set(code, {
+      code,
+      name: product.product_name || product.generic_name || 'Packaged food',
+      brand: (product.brands || '').split(',')[0].trim() || null,
+      servingSize: product.serving_size || null,
+      servingQuantity: Number.isFinite(servingQuantity) && servingQuantity > 0 ? servingQuantity : null,
+      per100g,
+      perServing: extractNutrients(source, 'serving')
+    });
+  }
+
+  findProduct(rawCode) {
+    const code = normalizeBarcode(rawCode);
+    return code ? this.products.get(code) || null : null;
+  }
+
+  // Label values for one serving when the label states one, otherwise per 100 g
+  getLabelValues(product) {
+    if (product.servingQuantity) {
+      const scaled = {};
+      NUTRIENT_FIELDS.forEach(field => {
+        if (product.perServing && product.perServing[field] !== undefined) {
+          scaled[field] = product.perServing[field];
+        } else if (product.per100g[field] !== undefined) {
+          scaled[field] = product.per100g[field] * product.servingQuantity / 100;
+        }
+      });
+      return {
+        nutrients: scaled,
+        servingSize: product.servingSize || `${product.servingQuantity} g`,
+        servingGrams: product.servingQuantity
+      };
+    }
+
+    return {
+      nutrients: product.per100g,
+      servingSize: '100 g',
+      servingGrams: 100
+    };
+  }
+}
+
+module.exports = new OpenFoodFactsService();
+module.exports.normalizeBarcode = normalizeBarcode;
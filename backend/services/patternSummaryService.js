@@ -1,22 +1,181 @@
-const OpenAI = require('openai');
+const { getVisionProvider } = require('./visionProviders');
+const ruleBasedSummary = require('./ruleBasedSummary');
+const { validateSummary, collectFoodNames } = require('./summaryValidator');
+const { createTimeContext, addDays } = require('./timeContext');
+
+// Ranges offered by /api/pattern-summary/range
+const RANGE_DAYS = [7, 14, 30];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Food items logged within this many minutes of each other count as one eating occasion
+const OCCASION_GAP_MINUTES = 30;
+// model: GPT writes the bullets (rule-based fallback on failure); rules: offline, no model call
+const SUMMARY_MODES = ['model', 'rules'];
+// Fewer bullets than this after dropping rule violations falls back to the rule-based summary
+const MIN_VALID_BULLETS = 2;
+
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
 
 class PatternSummaryService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 60000, // 60 second timeout for all API calls
-      maxRetries: 2 // Retry up to 2 times on failure
+  normalizeMode(mode) {
+    const normalized = String(mode || process.env.PATTERN_SUMMARY_MODE || 'model').toLowerCase();
+    return SUMMARY_MODES.includes(normalized) ? normalized : 'model';
+  }
+
+  // Rule-based summary in place of a failed model call; the fixed message is the last resort
+  ruleBasedFallback(buildSummary, title) {
+    try {
+      return { ...buildSummary(), generatedBy: 'rules' };
+    } catch (error) {
+      console.error('❌ Rule-based pattern summary failed:', error.message);
+      return {
+        summary: title,
+        bullets: [
+          "Unable to generate pattern summary",
+          "Please try again later"
+        ],
+        overall: "Pattern analysis is currently unavailable."
+      };
+    }
+  }
+
+  // One model call with the 60 second timeout; returns the parsed JSON answer
+  async requestSummary(route, prompt) {
+    const startTime = Date.now();
+    const timeoutMs = 60000; // 60 seconds timeout
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('OpenAI API request timed out after 60 seconds')), timeoutMs);
+    });
+
+    const apiCallPromise = getVisionProvider(route).complete({
+      prompt,
+      maxTokens: 1000,
+      temperature: 0.3,
+      json: true // Force JSON response
+    });
+
+    const response = await Promise.race([apiCallPromise, timeoutPromise]).finally(() => clearTimeout(timer));
+
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ OpenAI API call completed in ${Date.now() - startTime}ms`);
+    }
+
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No JSON found in response');
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+
+  // Numbers and names the daily bullets are checked against
+  dayFacts(patterns, items) {
+    const perMealType = Object.values(patterns.meal_type_macro_distribution || {});
+    const macroGrams = {};
+    ['protein', 'carbs', 'fat'].forEach(macro => {
+      macroGrams[macro] = [
+        patterns.total_macros ? patterns.total_macros[macro] : null,
+        ...perMealType.map(macros => macros[macro])
+      ].filter(value => typeof value === 'number');
+    });
+    return {
+      macroGrams,
+      largestMealType: patterns.largest_meal_type || null,
+      foodNames: collectFoodNames(items)
+    };
+  }
+
+  // Range bullets quote daily averages and the overall meal type shares
+  rangeFacts(patterns, items) {
+    const averages = patterns.averages || {};
+    const macroGrams = {};
+    ['protein', 'carbs', 'fat'].forEach(macro => {
+      macroGrams[macro] = typeof averages[macro] === 'number' ? [averages[macro]] : [];
+    });
+    const topShare = Object.entries(patterns.meal_type_calorie_share.overall).sort((a, b) => b[1] - a[1])[0];
+    return {
+      macroGrams,
+      largestMealType: topShare ? { meal_type: topShare[0], percentage: topShare[1] } : null,
+      foodNames: collectFoodNames(items)
+    };
+  }
+
+  // Checks the model's answer against the language rules. Violations are logged and sent back for a
+  // constrained rewrite (PATTERN_SUMMARY_MAX_REGENERATIONS, default 1); bullets that still break a rule
+  // are dropped, and the rule-based summary takes over when too little is left
+  async enforceLanguageRules(summary, { route, prompt, facts, buildFallback }) {
+    const maxRegenerations = Math.max(0, parseInt(process.env.PATTERN_SUMMARY_MAX_REGENERATIONS || '1', 10) || 0);
+    let current = summary;
+    let violations = validateSummary(current, facts);
+    let regenerations = 0;
+
+    while (violations.length > 0 && regenerations < maxRegenerations) {
+      this.logViolations(route, violations);
+      regenerations++;
+      try {
+        current = await this.requestSummary(route, `${prompt}\n\n${this.describeViolations(violations)}`);
+        violations = validateSummary(current, facts);
+      } catch (error) {
+        console.error(`❌ Pattern summary regeneration failed (${route}):`, error.message);
+        break;
+      }
+    }
+
+    if (violations.length === 0) {
+      return { ...current, generatedBy: 'model' };
+    }
+    this.logViolations(route, violations);
+
+    const failedBullets = new Set(violations.filter(v => v.field === 'bullets').map(v => v.index));
+    const bullets = (Array.isArray(current.bullets) ? current.bullets : []).filter((_, index) => !failedBullets.has(index));
+    if (bullets.length < MIN_VALID_BULLETS) {
+      console.error(`⚠️ Only ${bullets.length} pattern summary bullets passed validation (${route}), using rule-based summary`);
+      return this.ruleBasedFallback(buildFallback, current.summary);
+    }
+
+    const overallFailed = violations.some(v => v.field === 'overall');
+    return {
+      ...current,
+      bullets,
+      overall: overallFailed ? buildFallback().overall : current.overall,
+      generatedBy: 'model'
+    };
+  }
+
+  logViolations(route, violations) {
+    violations.forEach(violation => {
+      const location = violation.field === 'bullets' && violation.index !== null ? `bullet ${violation.index + 1}` : violation.field;
+      console.error(`🚫 Pattern summary rule violation (${route}, ${location}): ${violation.rule} - ${violation.detail}`);
+    });
+  }
+
+  // Appended to the original prompt for the constrained rewrite
+  describeViolations(violations) {
+    const lines = violations.map(violation => {
+      const location = violation.field === 'bullets' && violation.index !== null
+        ? `Bullet "${violation.text}"`
+        : `The ${violation.field} field`;
+      return `- ${location}: ${violation.detail}`;
     });
+    return `YOUR PREVIOUS ANSWER BROKE THESE RULES:
+${lines.join('\n')}
+
+Return the same JSON structure again. Rewrite or leave out the bullets listed above, keep every number exactly as given in the data, and follow all of the RULES.`;
   }
 
-  async generatePatternSummary(mealsToday) {
+  async generatePatternSummary(mealsToday, options = {}) {
+    let patterns = null;
     try {
       if (process.env.NODE_ENV !== 'production') {
         console.log('📊 Pattern Summary Service: Generating summary for', mealsToday.length, 'meals');
         console.log('📊 Starting OpenAI API call...');
       }
-      
-      const startTime = Date.now();
 
       // Build the input data for GPT
       // Handle both camelCase (from Swift) and snake_case formats
@@ -40,34 +199,17 @@ class PatternSummaryService {
       });
 
       // Extract patterns from the data
-      const patterns = this.extractPatterns(mealsToday);
+      const timeContext = options.timeContext || createTimeContext();
+      patterns = this.extractPatterns(mealsToday, timeContext);
       
-      // Format timestamps in local time for display
-      // Extract time directly from ISO8601 string to preserve original timezone
-      const formattedMealsData = mealsData.map(meal => {
-        const formatted = { ...meal };
-        if (meal.timestamp) {
-          try {
-            const timestampStr = meal.timestamp;
-            // Extract time from ISO8601 format: YYYY-MM-DDTHH:MM:SS[.SSS][Z|±HH:MM]
-            // Match the time portion (HH:MM:SS)
-            const timeMatch = timestampStr.match(/T(\d{2}):(\d{2}):(\d{2})/);
-            if (timeMatch) {
-              let hours = parseInt(timeMatch[1], 10);
-              const minutes = parseInt(timeMatch[2], 10);
-              
-              const ampm = hours >= 12 ? 'PM' : 'AM';
-              const displayHours = hours % 12 || 12;
-              const displayMinutes = minutes.toString().padStart(2, '0');
-              formatted.timestamp_display = `${displayHours}:${displayMinutes} ${ampm}`;
-            }
-          } catch (e) {
-            // Keep original if parsing fails
-            console.error('Error formatting timestamp:', e);
-          }
-        }
-        return formatted;
-      });
+      if (this.normalizeMode(options.mode) === 'rules') {
+        return { ...ruleBasedSummary.summarizeDay(patterns), generatedBy: 'rules' };
+      }
+      
+      // Timestamps shown in the user's local time (their time zone, or each timestamp's own offset)
+      const formattedMealsData = mealsData.map(meal => (
+        meal.timestamp ? { ...meal, timestamp_display: timeContext.formatTime(meal.timestamp) } : { ...meal }
+      ));
 
       const prompt = `You are generating a daily eating pattern summary for a food-tracking app. Your goal is to identify INTERESTING, MEANINGFUL patterns and trends that would be genuinely insightful to the user.
 
@@ -97,6 +239,8 @@ IMPORTANT: The patterns object includes:
 - meal_type_macro_distribution: Shows protein/carbs/fat for each meal type (breakfast, lunch, dinner, snack)
 - total_macros: Shows the TOTAL protein/carbs/fat across ALL meal types - use this for total consumption statements
 - meal_type_distribution: Shows count of food items per meal type
+- eating_window_hours, eating_occasions, longest_gap and average_gap_hours: timing between the first and last food item (items within ${OCCASION_GAP_MINUTES} minutes of each other are one eating occasion)
+- macro_calorie_percentages: Share of calories from protein, carbs and fat (4/4/9 kcal per gram) - mentioning these calories needs "(estimated)"
 
 CRITICAL: When stating total protein/carbs/fat consumed, ALWAYS use total_macros.protein, total_macros.carbs, or total_macros.fat. Do NOT add up meal_type_macro_distribution values yourself, as this can lead to errors if meal types are missing or incorrectly categorized.
 
@@ -227,58 +371,13 @@ IMPORTANT: The "overall" field is displayed prominently at the bottom of the sum
 
 Ensure the bullets are interesting, descriptive, and based on the actual data provided.`;
 
-      // Add timeout wrapper for OpenAI API call
-      const timeoutMs = 60000; // 60 seconds timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('OpenAI API request timed out after 60 seconds')), timeoutMs);
+      const summary = await this.requestSummary('pattern-summary', prompt);
+      return await this.enforceLanguageRules(summary, {
+        route: 'pattern-summary',
+        prompt,
+        facts: this.dayFacts(patterns, mealsToday),
+        buildFallback: () => ruleBasedSummary.summarizeDay(patterns)
       });
-      
-      const apiCallPromise = this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.3,
-        response_format: { type: "json_object" } // Force JSON response
-      });
-      
-      const response = await Promise.race([apiCallPromise, timeoutPromise]);
-      
-      const elapsedTime = Date.now() - startTime;
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`✅ OpenAI API call completed in ${elapsedTime}ms`);
-        console.log('📊 Response received, parsing JSON...');
-      }
-
-      const content = response.choices[0].message.content;
-      
-      // Parse JSON response
-      let summary;
-      try {
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          summary = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error('No JSON found in response');
-        }
-      } catch (parseError) {
-        console.error('Error parsing pattern summary response:', parseError);
-        // Fallback summary
-        summary = {
-          summary: "Today's Eating Pattern",
-          bullets: [
-            "No patterns detected yet",
-            "Continue logging meals to see insights"
-          ],
-          overall: "Start tracking your meals to see eating patterns emerge."
-        };
-      }
-
-      return summary;
 
     } catch (error) {
       console.error('❌ Pattern Summary Service Error:', error);
@@ -294,19 +393,16 @@ Ensure the bullets are interesting, descriptive, and based on the actual data pr
         console.error('🌐 Network error - cannot reach OpenAI API');
       }
       
-      // Return a safe fallback
-      return {
-        summary: "Today's Eating Pattern",
-        bullets: [
-          "Unable to generate pattern summary",
-          "Please try again later"
-        ],
-        overall: "Pattern analysis is currently unavailable."
-      };
+      // The same data described by rules instead
+      return this.ruleBasedFallback(
+        () => ruleBasedSummary.summarizeDay(patterns || this.extractPatterns(mealsToday, options.timeContext)),
+        "Today's Eating Pattern"
+      );
     }
   }
 
-  extractPatterns(meals) {
+  // Times come from the time context: sorted and measured by instant, displayed on the local clock
+  extractPatterns(meals, timeContext = createTimeContext()) {
     if (!meals || meals.length === 0) {
       return {};
     }
@@ -321,32 +417,42 @@ Ensure the bullets are interesting, descriptive, and based on the actual data pr
       location_distribution: {}
     };
 
-    // Find first and latest food item times
-    const sortedByTime = meals.sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
-    if (sortedByTime.length > 0) {
-      // Extract time directly from ISO8601 string to preserve original timezone
-      const formatTime = (timestampStr) => {
-        try {
-          // Extract time from ISO8601 format: YYYY-MM-DDTHH:MM:SS[.SSS][Z|±HH:MM]
-          const timeMatch = timestampStr.match(/T(\d{2}):(\d{2}):(\d{2})/);
-          if (timeMatch) {
-            let hours = parseInt(timeMatch[1], 10);
-            const minutes = parseInt(timeMatch[2], 10);
-            
-            const ampm = hours >= 12 ? 'PM' : 'AM';
-            const displayHours = hours % 12 || 12;
-            const displayMinutes = minutes.toString().padStart(2, '0');
-            return `${displayHours}:${displayMinutes} ${ampm}`;
-          }
-          return 'Unknown';
-        } catch (e) {
-          return 'Unknown';
+    // Find first and latest food item times; offsets are resolved before sorting, so items logged
+    // under different UTC offsets are ordered by when they happened
+    const timed = meals
+      .map(meal => ({ meal, instant: timeContext.instant(meal.timestamp) }))
+      .filter(entry => entry.instant !== null)
+      .sort((a, b) => a.instant - b.instant);
+    if (timed.length > 0) {
+      patterns.first_food_time = timeContext.formatTime(timed[0].meal.timestamp);
+      patterns.latest_food_time = timeContext.formatTime(timed[timed.length - 1].meal.timestamp);
+    }
+
+    // Eating window, eating occasions and the gaps between occasions, in elapsed time so a DST
+    // change during the day does not add or remove an hour
+    if (timed.length > 0) {
+      const occasions = [];
+      timed.forEach(entry => {
+        const current = occasions[occasions.length - 1];
+        if (current && (entry.instant - current.end.instant) / 60000 <= OCCASION_GAP_MINUTES) {
+          current.end = entry;
+        } else {
+          occasions.push({ start: entry, end: entry });
         }
-      };
-      patterns.first_food_time = formatTime(sortedByTime[0].timestamp);
-      patterns.latest_food_time = formatTime(sortedByTime[sortedByTime.length - 1].timestamp);
+      });
+      const gaps = occasions.slice(1).map((occasion, index) => ({
+        from: occasions[index].end.meal.timestamp,
+        to: occasion.start.meal.timestamp,
+        minutes: (occasion.start.instant - occasions[index].end.instant) / 60000
+      }));
+      const longestGap = gaps.reduce((longest, gap) => (!longest || gap.minutes > longest.minutes ? gap : longest), null);
+
+      patterns.eating_window_hours = round1((timed[timed.length - 1].instant - timed[0].instant) / 3600000);
+      patterns.eating_occasions = occasions.length;
+      patterns.longest_gap = longestGap
+        ? { hours: round1(longestGap.minutes / 60), from: timeContext.formatTime(longestGap.from), to: timeContext.formatTime(longestGap.to) }
+        : null;
+      patterns.average_gap_hours = gaps.length > 0 ? round1(average(gaps.map(gap => gap.minutes)) / 60) : null;
     }
 
     // Find largest portion (by calories)
@@ -428,6 +534,17 @@ Ensure the bullets are interesting, descriptive, and based on the actual data pr
       calories: totalCalories
     };
     
+    // Share of macro calories (4/4/9 kcal per gram of protein, carbs and fat)
+    const macroCalories = { protein: totalProtein * 4, carbs: totalCarbs * 4, fat: totalFat * 9 };
+    const totalMacroCalories = macroCalories.protein + macroCalories.carbs + macroCalories.fat;
+    if (totalMacroCalories > 0) {
+      patterns.macro_calorie_percentages = {
+        protein: Math.round((macroCalories.protein / totalMacroCalories) * 100),
+        carbs: Math.round((macroCalories.carbs / totalMacroCalories) * 100),
+        fat: Math.round((macroCalories.fat / totalMacroCalories) * 100)
+      };
+    }
+    
     // Debug logging
     if (process.env.NODE_ENV !== 'production') {
       console.log('📊 Meal type macro distribution:', JSON.stringify(patterns.meal_type_macro_distribution, null, 2));
@@ -488,8 +605,258 @@ Ensure the bullets are interesting, descriptive, and based on the actual data pr
 
     return patterns;
   }
+
+  // Multi-day summary from extractRangePatterns output, with the same descriptive-only
+  // language rules as the daily summary
+  async generateRangeSummary(patterns, options = {}) {
+    const days = patterns.range.days;
+    const title = ruleBasedSummary.rangeTitle(patterns.range);
+    if (this.normalizeMode(options.mode) === 'rules') {
+      return { ...ruleBasedSummary.summarizeRange(patterns), generatedBy: 'rules' };
+    }
+
+    try {
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`📊 Pattern Summary Service: Generating ${days}-day summary for ${patterns.range.days_logged} logged days`);
+      }
+
+      const prompt = `You are generating a ${days}-day eating pattern summary for a food-tracking app. Your goal is to describe INTERESTING trends across days: how eating times shift, how weekdays compare with weekends, logging streaks, and how the share of calories per meal type changes over time.
+
+The summary must be 100% descriptive and must NOT give advice, evaluations, nutrition judgments, recommendations, or health conclusions. It must remain fully App-Store–safe under guideline 1.4.1, meaning:
+
+- No statements about what the user should eat.
+- No statements about healthiness, diet quality, risks, or medical impact.
+- No nutritional judgments (e.g., "too much sugar," "high-fat meal," "unhealthy," "better choices").
+- Only objective observations, patterns, frequencies, and comparisons.
+
+INPUT YOU WILL RECEIVE:
+
+Patterns computed from ${patterns.range.days_logged} logged days between ${patterns.range.start_date} and ${patterns.range.end_date}:
+${JSON.stringify(patterns, null, 2)}
+
+IMPORTANT NOTES ABOUT THE DATA:
+- All numbers are already computed. Use them exactly; do NOT recalculate averages, percentages or streaks yourself
+- Times (first_food_time, last_food_time) are in the user's local time
+- Each day starts at range.day_start_hour local time (0 = midnight); with a later start, food items logged between midnight and that hour count towards the previous day and its last_food_time
+- averages are per LOGGED day; days without any logged food are not counted as zero-calorie days
+- trends compare the first half of the range with the second half; a null value means one half had no logged days, so do not mention that trend
+- weekday_vs_weekend is null for a side with no logged days; do not compare in that case
+- meal_type_calorie_share.over_time lists the percentage of calories from each meal type per period
+- Each logged entry is a FOOD ITEM, not a separate meal session
+
+TASK:
+
+1. A concise 4–6 bullet summary that highlights MEANINGFUL multi-day patterns, for example:
+   - Shifts in the average first and last eating times between the first and second half of the range
+   - Differences between weekdays and weekends (eating times, calories per day, number of food items)
+   - Logging streaks (longest and current)
+   - How the share of calories from breakfast, lunch, dinner and snacks changed over time
+   - Average daily protein, carbs and fat using the exact numbers provided. If a bullet point mentions calories from macros (protein, carbs, or fat), it MUST end with "(estimated)". Other bullet points should NOT include "(estimated)".
+
+2. A single "overall" sentence that SYNTHESIZES the most interesting multi-day pattern by connecting at least two observations (e.g. timing and weekday/weekend differences). Use second person.
+
+RULES:
+
+- Do NOT use any evaluative words like "healthy," "unhealthy," "balanced," "better," "worse," "good," "bad," "should," "avoid," "improve," or anything implying advice.
+- Do NOT describe trends as progress, success or failure; a streak or a shift is only described, never praised or criticized.
+- Do NOT classify meals or foods as "carb heavy," "protein-rich," "fat-heavy," "balanced," or any other macro classification.
+- DO NOT mention specific ingredients, food names, individual food items, or portion sizes.
+- Use "food item" or "eating occasion" instead of "meal" unless referring specifically to breakfast, lunch or dinner.
+- ONLY describe what can be directly inferred from the input data.
+- Always use second person ("you", "your") instead of third person ("the user", "their").
+
+FORMAT:
+
+Return exactly this JSON structure:
+{
+  "summary": "${title}",
+  "bullets": [
+    "bullet 1",
+    "bullet 2",
+    "bullet 3",
+    "bullet 4"
+  ],
+  "overall": "A single synthesized insight sentence that connects multiple patterns"
+}`;
+
+      const summary = await this.requestSummary('pattern-summary-range', prompt);
+      return await this.enforceLanguageRules(summary, {
+        route: 'pattern-summary-range',
+        prompt,
+        facts: this.rangeFacts(patterns, options.items || []),
+        buildFallback: () => ruleBasedSummary.summarizeRange(patterns)
+      });
+
+    } catch (error) {
+      console.error('❌ Pattern Summary Service Error (range):', error.message);
+      return this.ruleBasedFallback(() => ruleBasedSummary.summarizeRange(patterns), title);
+    }
+  }
+
+  // Day-by-day statistics for the range ending on endDate (YYYY-MM-DD, inclusive). Days follow the
+  // time context: its zone and day start hour decide which day an item belongs to
+  extractRangePatterns(items, { days, endDate, timeContext = createTimeContext() }) {
+    const startDate = addDays(endDate, -(days - 1));
+    const dates = Array.from({ length: days }, (_, index) => addDays(startDate, index));
+    const itemsByDate = new Map(dates.map(date => [date, []]));
+    items.forEach(item => {
+      const day = timeContext.dayOf(item.timestamp);
+      if (day && itemsByDate.has(day.date)) {
+        itemsByDate.get(day.date).push({ ...item, day_minutes: day.minutes });
+      }
+    });
+
+    const dailyStats = dates.map(date => {
+      const dayItems = itemsByDate.get(date);
+      const times = dayItems.map(item => item.day_minutes);
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      const mealTypeCalories = {};
+      dayItems.forEach(item => {
+        const mealType = (item.mealType || item.meal_type_guess || 'snack').toLowerCase();
+        mealTypeCalories[mealType] = (mealTypeCalories[mealType] || 0) + (item.calories || 0);
+      });
+      const sum = field => dayItems.reduce((total, item) => total + (item[field] || 0), 0);
+
+      return {
+        date,
+        weekday: WEEKDAY_NAMES[weekday],
+        is_weekend: weekday === 0 || weekday === 6,
+        logged: dayItems.length > 0,
+        item_count: dayItems.length,
+        calories: Math.round(sum('calories')),
+        protein: round1(sum('protein')),
+        carbs: round1(sum('carbs')),
+        fat: round1(sum('fat')),
+        first_minutes: times.length > 0 ? Math.min(...times) : null,
+        last_minutes: times.length > 0 ? Math.max(...times) : null,
+        meal_type_calories: mealTypeCalories
+      };
+    });
+    const loggedDays = dailyStats.filter(day => day.logged);
+
+    // Averages over logged days only; days without entries are gaps, not zero-calorie days
+    const summarizeDays = dayList => {
+      const logged = dayList.filter(day => day.logged);
+      if (logged.length === 0) {
+        return null;
+      }
+      const firstMinutes = average(logged.map(day => day.first_minutes));
+      const lastMinutes = average(logged.map(day => day.last_minutes));
+      return {
+        days_logged: logged.length,
+        average_calories: Math.round(average(logged.map(day => day.calories))),
+        average_food_items: round1(average(logged.map(day => day.item_count))),
+        average_first_food_time: timeContext.formatDayMinutes(firstMinutes),
+        average_last_food_time: timeContext.formatDayMinutes(lastMinutes),
+        average_eating_window_hours: firstMinutes !== null ? round1((lastMinutes - firstMinutes) / 60) : null,
+        first_minutes: firstMinutes,
+        last_minutes: lastMinutes
+      };
+    };
+
+    const mealTypeShares = dayList => {
+      const calories = {};
+      dayList.forEach(day => {
+        Object.entries(day.meal_type_calories).forEach(([mealType, mealCalories]) => {
+          calories[mealType] = (calories[mealType] || 0) + mealCalories;
+        });
+      });
+      const total = Object.values(calories).reduce((sum, value) => sum + value, 0);
+      const shares = {};
+      if (total > 0) {
+        Object.keys(calories).forEach(mealType => {
+          shares[mealType] = Math.round((calories[mealType] / total) * 100);
+        });
+      }
+      return shares;
+    };
+
+    // Streaks of consecutive days with at least one logged food item; the current streak ends on endDate
+    let longestStreak = 0;
+    let runningStreak = 0;
+    dailyStats.forEach(day => {
+      runningStreak = day.logged ? runningStreak + 1 : 0;
+      longestStreak = Math.max(longestStreak, runningStreak);
+    });
+
+    // First half of the range against the second half
+    const half = Math.floor(days / 2);
+    const earlier = summarizeDays(dailyStats.slice(0, half));
+    const later = summarizeDays(dailyStats.slice(days - half));
+    const change = field => earlier && later && earlier[field] !== null && later[field] !== null
+      ? Math.round(later[field] - earlier[field])
+      : null;
+
+    // Per-day shares for a week, per-week shares for longer ranges
+    const periodLength = days <= 7 ? 1 : 7;
+    const periods = [];
+    for (let offset = 0; offset < days; offset += periodLength) {
+      const periodDays = dailyStats.slice(offset, offset + periodLength);
+      periods.push({
+        start_date: periodDays[0].date,
+        end_date: periodDays[periodDays.length - 1].date,
+        days_logged: periodDays.filter(day => day.logged).length,
+        shares: mealTypeShares(periodDays)
+      });
+    }
+
+    const withoutMinutes = summary => {
+      if (!summary) {
+        return null;
+      }
+      const { first_minutes, last_minutes, ...rest } = summary;
+      return rest;
+    };
+    const overall = summarizeDays(dailyStats);
+
+    return {
+      range: {
+        days,
+        start_date: startDate,
+        end_date: endDate,
+        ends_today: endDate === timeContext.today(),
+        days_logged: loggedDays.length,
+        time_zone: timeContext.timeZone,
+        day_start_hour: timeContext.dayStartHour
+      },
+      averages: overall ? {
+        ...withoutMinutes(overall),
+        protein: round1(average(loggedDays.map(day => day.protein))),
+        carbs: round1(average(loggedDays.map(day => day.carbs))),
+        fat: round1(average(loggedDays.map(day => day.fat)))
+      } : null,
+      trends: {
+        first_food_time_shift_minutes: change('first_minutes'),
+        last_food_time_shift_minutes: change('last_minutes'),
+        daily_calories_change_percent: earlier && later && earlier.average_calories > 0
+          ? Math.round(((later.average_calories - earlier.average_calories) / earlier.average_calories) * 100)
+          : null,
+        earlier: withoutMinutes(earlier),
+        later: withoutMinutes(later)
+      },
+      weekday_vs_weekend: {
+        weekday: withoutMinutes(summarizeDays(dailyStats.filter(day => !day.is_weekend))),
+        weekend: withoutMinutes(summarizeDays(dailyStats.filter(day => day.is_weekend)))
+      },
+      streaks: {
+        longest_logging_streak_days: longestStreak,
+        current_logging_streak_days: runningStreak
+      },
+      meal_type_calorie_share: {
+        overall: mealTypeShares(dailyStats),
+        over_time: periods
+      },
+      daily: dailyStats.map(({ first_minutes, last_minutes, ...day }) => ({
+        ...day,
+        first_food_time: timeContext.formatDayMinutes(first_minutes),
+        last_food_time: timeContext.formatDayMinutes(last_minutes)
+      }))
+    };
+  }
 }
 
 module.exports = new PatternSummaryService();
+module.exports.RANGE_DAYS = RANGE_DAYS;
+module.exports.SUMMARY_MODES = SUMMARY_MODES;
 
 
@@ -0,0 +1,289 @@
+// Converts serving size descriptions ("2 large eggs", "1 cup of rice", "1 plate of pasta") into grams
+
+const { analyzeName, stem } = require('./foodMatcher');
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, single: 1, two: 2, couple: 2, pair: 2, three: 3, few: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, dozen: 12, half: 0.5, quarter: 0.25
+};
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+
+// Mass and fluid units, in grams (fluids assume the density of water unless the food overrides it)
+const MASS_UNITS = {
+  g: 1, gram: 1, grams: 1, gr: 1,
+  kg: 1000, kilogram: 1000, kilograms: 1000,
+  oz: 28.35, ounce: 28.35, ounces: 28.35,
+  lb: 453.6, lbs: 453.6, pound: 453.6, pounds: 453.6,
+  ml: 1, milliliter: 1, milliliters: 1, millilitre: 1, millilitres: 1,
+  l: 1000, liter: 1000, liters: 1000, litre: 1000, litres: 1000
+};
+
+const VOLUME_UNITS = {
+  cup: 'cup', cups: 'cup',
+  tablespoon: 'tbsp', tablespoons: 'tbsp', tbsp: 'tbsp', tbs: 'tbsp',
+  teaspoon: 'tsp', teaspoons: 'tsp', tsp: 'tsp',
+  glass: 'glass', glasses: 'glass', mug: 'glass', mugs: 'glass',
+  can: 'can', cans: 'can'
+};
+
+const CONTAINER_UNITS = {
+  plate: 350, plates: 350, platter: 500,
+  bowl: 300, bowls: 300,
+  handful: 30, handfuls: 30,
+  scoop: 30, scoops: 30,
+  serving: null, servings: null, portion: null, portions: null
+};
+
+// Grams per cup for foods that are far from the density of water
+const CUP_GRAMS = {
+  'brown rice': 195, rice: 158, quinoa: 185, pasta: 140, noodle: 160, oatmeal: 234, porridge: 234, oats: 81,
+  cereal: 30, granola: 122, broccoli: 91, cauliflower: 107, spinach: 30, lettuce: 47, salad: 47, kale: 67,
+  cabbage: 89, carrot: 128, peas: 160, corn: 164, bean: 172, chickpea: 164, lentil: 198, edamame: 155,
+  blueberr: 148, strawberr: 152, raspberr: 123, grape: 151, berr: 148, pineapple: 165, mango: 165,
+  watermelon: 152, fruit: 150, milk: 244, yogurt: 245, juice: 248, coffee: 237, tea: 237, soup: 245,
+  almond: 143, nut: 140, peanut: 146, cheese: 113, 'cottage cheese': 226, mashed: 210, fries: 117,
+  popcorn: 8, chips: 28, flour: 125, sugar: 200
+};
+
+// Grams per tablespoon; teaspoons are a third of this
+const TBSP_GRAMS = {
+  'peanut butter': 16, butter: 14, oil: 13.6, honey: 21, syrup: 20, sugar: 12.5, mayonnaise: 14, mayo: 14,
+  ketchup: 17, hummus: 15, jam: 20, dressing: 15, cream: 15, seed: 12, chia: 12
+};
+
+const VOLUME_ML = { cup: 240, tbsp: 15, tsp: 5, glass: 250, can: 355 };
+
+// Typical grams per piece; size-specific entries override the default
+const PIECE_GRAMS = [
+  ['egg white', { default: 33 }],
+  ['egg', { small: 38, medium: 44, large: 50, default: 50 }],
+  ['banana', { small: 101, medium: 118, large: 136, default: 118 }],
+  ['apple', { small: 149, medium: 182, large: 223, default: 182 }],
+  ['orange', { small: 96, medium: 131, large: 184, default: 131 }],
+  ['pear', { default: 178 }],
+  ['peach', { default: 150 }],
+  ['kiwi', { default: 69 }],
+  ['avocado', { default: 136 }],
+  ['sweet potato', { small: 60, medium: 114, large: 180, default: 114 }],
+  ['potato', { small: 138, medium: 173, large: 299, default: 173 }],
+  ['tomato', { small: 91, medium: 123, large: 182, default: 123 }],
+  ['carrot', { default: 61 }],
+  ['strawberr', { default: 12 }],
+  ['date', { default: 24 }],
+  ['pizza', { default: 107 }],
+  ['bacon', { default: 8 }],
+  ['cheese', { default: 21 }],
+  ['ham', { default: 28 }],
+  ['bread', { default: 30 }],
+  ['toast', { default: 30 }],
+  ['sourdough', { default: 32 }],
+  ['bagel', { default: 105 }],
+  ['croissant', { default: 57 }],
+  ['tortilla', { default: 45 }],
+  ['pancake', { small: 38, medium: 77, large: 150, default: 77 }],
+  ['chicken breast', { default: 172 }],
+  ['chicken thigh', { default: 116 }],
+  ['steak', { default: 221 }],
+  ['pork chop', { default: 145 }],
+  ['salmon', { default: 154 }],
+  ['fillet', { default: 150 }],
+  ['shrimp', { default: 6 }],
+  ['almond', { default: 1.2 }],
+  ['cookie', { default: 16 }],
+  ['sausage', { default: 68 }]
+];
+
+// Words that count pieces without saying how big they are ("2 slices of sourdough")
+const PIECE_UNITS = ['slice', 'slices', 'piece', 'pieces'];
+
+const SIZE_WORDS = ['small', 'medium', 'large'];
+const CONTAINER_SIZE_FACTORS = { small: 0.75, medium: 1, large: 1.3 };
+const PORTION_SIZE_GRAMS = { small: 100, medium: 200, large: 300 };
+
+// Keywords match whole words with a short plural/stem suffix, so "ham" never matches "hamburger"
+function containsKeyword(text, keyword) {
+  return new RegExp(`\\b${keyword}\\w{0,3}\\b`).test(text);
+}
+
+function lookupByKeyword(table, text) {
+  // Longest keyword first so "brown rice" wins over "rice"
+  const keyword = Object.keys(table)
+    .sort((a, b) => b.length - a.length)
+    .find(key => containsKeyword(text, key));
+  return keyword ? table[keyword] : null;
+}
+
+// Stemmed head noun of a food description, ignoring quantities, cooking words and sides after "with"
+function headNoun(text) {
+  const head = analyzeName(text).core.find(entry => entry.role === 'head');
+  return head ? head.token : null;
+}
+
+// Piece weights go by the head noun (of the food name, else the serving): a "bagel with cream cheese"
+// is a bagel and an "apple pie slice" is not an apple. The longest entry ending in the head noun wins
+// ("chicken breast" over "breast"); with none, null rather than a guess from some other word
+function lookupPieceGrams(servingText, foodName, size) {
+  // Raw words plus their stemmed, synonym-mapped tokens ("toast" is also "bread")
+  const mainText = [servingText, foodName].map(text => {
+    const main = text.split(/\s+with\s+/)[0];
+    return `${main} ${analyzeName(main).core.map(entry => entry.token).join(' ')}`;
+  }).join(' ');
+  const endsIn = (keyword, head) => {
+    const lastWord = keyword.split(' ').pop();
+    return containsKeyword(head, lastWord) || [`${lastWord}s`, `${lastWord}es`].map(stem).includes(head);
+  };
+  for (const head of [headNoun(foodName), headNoun(servingText)]) {
+    if (!head) {
+      continue;
+    }
+    const entry = PIECE_GRAMS
+      .filter(([keyword]) => endsIn(keyword, head) && containsKeyword(mainText, keyword))
+      .sort((a, b) => b[0].length - a[0].length)[0];
+    if (entry) {
+      const weights = entry[1];
+      return (size && weights[size]) || weights.default;
+    }
+  }
+  return null;
+}
+
+// Reads the leading quantity ("2", "1.5", "1 1/2", "½", "two", "a couple of"); returns null if none
+function parseQuantity(tokens) {
+  let quantity = null;
+  let consumed = 0;
+
+  for (let i = 0; i < tokens.length && i < 3; i++) {
+    const token = tokens[i];
+    let value = null;
+
+    if (/^\d+(\.\d+)?$/.test(token)) {
+      value = parseFloat(token);
+    } else if (/^\d+\/\d+$/.test(token)) {
+      const [numerator, denominator] = token.split('/').map(Number);
+      value = denominator ? numerator / denominator : null;
+    } else if (/^\d*[½¼¾⅓⅔⅛]$/.test(token)) {
+      const whole = token.length > 1 ? parseInt(token, 10) : 0;
+      value = whole + UNICODE_FRACTIONS[token[token.length - 1]];
+    } else if (NUMBER_WORDS[token] !== undefined) {
+      value = NUMBER_WORDS[token];
+    } else if (token === 'of' && quantity !== null) {
+      consumed = i + 1;
+      continue;
+    }
+
+    if (value === null) {
+      break;
+    }
+    // "1 1/2" adds, "half a" / "a dozen" multiply
+    if (quantity === null) {
+      quantity = value;
+    } else if (value < 1 && quantity >= 1 && Number.isInteger(quantity)) {
+      quantity += value;
+    } else {
+      quantity *= value;
+    }
+    consumed = i + 1;
+  }
+
+  return quantity === null ? null : { quantity, consumed };
+}
+
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/(\d)([a-z])/g, '$1 $2') // "170g" -> "170 g"
+    .replace(/([½¼¾⅓⅔⅛])/g, ' $1 ')
+    .replace(/[^a-z0-9.\/½¼¾⅓⅔⅛\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function round(grams) {
+  return Math.round(grams * 10) / 10;
+}
+
+/**
+ * Estimate the mass of a serving in grams.
+ * Returns { grams, method } where method is one of mass, volume, count, container or
+ * portion_estimate, or null when nothing about the serving can be inferred.
+ * portion_estimate is a flat guess from the portion size alone; it is not a weight to scale by.
+ */
+function parseServingSize(servingSize, foodName = '', portionSize = null) {
+  const servingText = String(servingSize || '').toLowerCase();
+  const foodText = `${servingText} ${String(foodName).toLowerCase()}`;
+  const size = SIZE_WORDS.find(word => new RegExp(`\\b${word}\\b`).test(servingText)) || null;
+
+  // An explicit mass anywhere wins, e.g. "1 chicken breast (170g)" or "6 oz steak"
+  const massMatch = servingText.match(/(\d+(?:\.\d+)?)\s*(kg|g|gr|grams?|oz|ounces?|lbs?|pounds?|ml|millilit(?:er|re)s?|l|lit(?:er|re)s?)\b/);
+  if (massMatch) {
+    return { grams: round(parseFloat(massMatch[1]) * MASS_UNITS[massMatch[2]]), method: 'mass' };
+  }
+
+  const tokens = tokenize(servingText);
+  const parsed = parseQuantity(tokens);
+  const quantity = parsed ? parsed.quantity : 1;
+  const rest = parsed ? tokens.slice(parsed.consumed) : tokens;
+  const unitToken = rest.find(token => !SIZE_WORDS.includes(token));
+
+  if (unitToken && VOLUME_UNITS[unitToken]) {
+    const unit = VOLUME_UNITS[unitToken];
+    let gramsPerUnit;
+    if (unit === 'cup') {
+      gramsPerUnit = lookupByKeyword(CUP_GRAMS, foodText) || VOLUME_ML.cup;
+    } else if (unit === 'tbsp' || unit === 'tsp') {
+      const tbsp = lookupByKeyword(TBSP_GRAMS, foodText) || VOLUME_ML.tbsp;
+      gramsPerUnit = unit === 'tbsp' ? tbsp : tbsp / 3;
+    } else {
+      gramsPerUnit = VOLUME_ML[unit];
+    }
+    return { grams: round(quantity * gramsPerUnit), method: 'volume' };
+  }
+
+  if (unitToken && CONTAINER_UNITS[unitToken] !== undefined) {
+    const containerGrams = CONTAINER_UNITS[unitToken];
+    if (containerGrams !== null) {
+      return { grams: round(quantity * containerGrams * CONTAINER_SIZE_FACTORS[size || 'medium']), method: 'container' };
+    }
+    // "1 serving" says nothing about mass; fall through to piece weights or the portion estimate
+  }
+
+  const pieceGrams = lookupPieceGrams(servingText, String(foodName).toLowerCase(), size);
+  if (pieceGrams) {
+    return { grams: round(quantity * pieceGrams), method: 'count' };
+  }
+
+  if (portionSize && PORTION_SIZE_GRAMS[portionSize]) {
+    return { grams: PORTION_SIZE_GRAMS[portionSize], method: 'portion_estimate' };
+  }
+
+  return null;
+}
+
+// Splits a recipe line ("2 cups cooked brown rice", "200g chicken breast", "3 large eggs") into the
+// serving description parseServingSize understands and the food name
+function parseIngredientLine(line) {
+  const tokens = tokenize(String(line || ''));
+  const parsed = parseQuantity(tokens);
+  let consumed = parsed ? parsed.consumed : 0;
+
+  if (SIZE_WORDS.includes(tokens[consumed])) {
+    consumed++;
+  }
+  const unitToken = tokens[consumed];
+  if (unitToken && (MASS_UNITS[unitToken] || VOLUME_UNITS[unitToken] || CONTAINER_UNITS[unitToken] !== undefined || PIECE_UNITS.includes(unitToken))) {
+    consumed++;
+  }
+
+  return {
+    quantity: tokens.slice(0, consumed).join(' '),
+    name: tokens.slice(tokens[consumed] === 'of' ? consumed + 1 : consumed).join(' ')
+  };
+}
+
+module.exports = {
+  parseServingSize,
+  parseIngredientLine,
+  parseQuantity,
+  PORTION_SIZE_GRAMS
+};
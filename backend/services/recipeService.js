@@ -0,0 +1,122 @@
+const { v4: uuidv4 } = require('uuid');
+const FileStore = require('./fileStore');
+const nutritionService = require('./nutritionService');
+const mealLogService = require('./mealLogService');
+const foodResolver = require('./foodResolver');
+const { roundNutrients } = foodResolver;
+
+// Home recipes: each ingredient line is resolved to nutrients when the recipe is saved (database
+// match scaled to the quantity, otherwise a name-based macro estimate), and the recipe keeps its
+// whole-batch and per-serving totals so logging a portion needs no further lookups
+class RecipeService {
+  constructor() {
+    this.store = new FileStore('recipes');
+  }
+
+  // Whole-batch totals and the same values per serving
+  calculateRecipeTotals(ingredients, servings) {
+    const totals = nutritionService.calculateTotals(ingredients);
+    return {
+      totals,
+      perServing: roundNutrients(totals, 1 / servings)
+    };
+  }
+
+  async createRecipe(userId, data) {
+    const now = new Date().toISOString();
+    const { items: ingredients, unresolved } = await foodResolver.resolveLines(data.ingredients);
+    const recipe = {
+      id: uuidv4(),
+      userId,
+      name: data.name.trim(),
+      servings: data.servings,
+      ingredientLines: data.ingredients,
+      ingredients,
+      unresolved,
+      ...this.calculateRecipeTotals(ingredients, data.servings),
+      notes: data.notes || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return this.store.set(recipe.id, recipe);
+  }
+
+  async getRecipe(userId, recipeId) {
+    const recipe = await this.store.get(recipeId);
+    // Recipes belonging to another user are reported as missing rather than forbidden
+    return recipe && recipe.userId === userId ? recipe : null;
+  }
+
+  async listRecipes(userId) {
+    const recipes = await this.store.find(recipe => recipe.userId === userId);
+    return recipes.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Ingredient lines are re-resolved only when they change; servings only rescale perServing
+  async updateRecipe(userId, recipeId, changes) {
+    const recipe = await this.getRecipe(userId, recipeId);
+    if (!recipe) {
+      return null;
+    }
+
+    const updated = { ...recipe };
+    if (changes.name !== undefined) updated.name = changes.name.trim();
+    if (changes.notes !== undefined) updated.notes = changes.notes;
+    if (changes.servings !== undefined) updated.servings = changes.servings;
+    if (changes.ingredients !== undefined) {
+      const { items: ingredients, unresolved } = await foodResolver.resolveLines(changes.ingredients);
+      updated.ingredientLines = changes.ingredients;
+      updated.ingredients = ingredients;
+      updated.unresolved = unresolved;
+    }
+    Object.assign(updated, this.calculateRecipeTotals(updated.ingredients, updated.servings));
+    updated.updatedAt = new Date().toISOString();
+
+    return this.store.set(recipeId, updated);
+  }
+
+  async deleteRecipe(userId, recipeId) {
+    const recipe = await this.getRecipe(userId, recipeId);
+    if (!recipe) {
+      return false;
+    }
+    return this.store.delete(recipeId);
+  }
+
+  // A portion of the recipe as a meal-log food; servings may be fractional (0.5 = half a serving)
+  createRecipeFood(recipe, servings) {
+    const knownGrams = recipe.ingredients.every(ingredient => ingredient.grams);
+    const batchGrams = recipe.ingredients.reduce((sum, ingredient) => sum + (ingredient.grams || 0), 0);
+    return {
+      name: recipe.name,
+      ...roundNutrients(recipe.perServing, servings),
+      serving_size: `${servings} ${servings === 1 ? 'serving' : 'servings'}`,
+      serving_grams: knownGrams && batchGrams > 0 ? Math.round(batchGrams / recipe.servings * servings * 10) / 10 : null,
+      serving_grams_method: 'recipe',
+      confidence: recipe.ingredients.length > 0
+        ? Math.min(...recipe.ingredients.map(ingredient => ingredient.confidence || 0))
+        : 0,
+      ingredients: recipe.ingredients.map(ingredient => ingredient.name),
+      match: null,
+      verified: false,
+      recipeId: recipe.id,
+      recipeServings: servings
+    };
+  }
+
+  async logRecipe(userId, recipeId, { servings = 1, mealType, timestamp, notes } = {}) {
+    const recipe = await this.getRecipe(userId, recipeId);
+    if (!recipe) {
+      return null;
+    }
+    return mealLogService.createMeal(userId, {
+      foods: [this.createRecipeFood(recipe, servings)],
+      mealType,
+      timestamp,
+      notes
+    });
+  }
+}
+
+module.exports = new RecipeService();
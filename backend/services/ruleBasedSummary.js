@@ -0,0 +1,163 @@
+// Rule-based pattern summaries: turns the patterns computed by PatternSummaryService into the same
+// { summary, bullets, overall } shape the model returns. Used when PATTERN_SUMMARY_MODE=rules and as the
+// automatic fallback when the model call fails. Sentences follow the prompt's rules: descriptive only,
+// second person, no evaluations, and "(estimated)" on bullets that mention calories from macros
+
+const MAX_BULLETS = 6;
+
+// "meal" only for breakfast, lunch and dinner; snacks are eating occasions
+function mealTypeLabel(mealType, { capitalize = false } = {}) {
+  const label = mealType === 'snack' ? 'snacks' : mealType;
+  return capitalize ? label.charAt(0).toUpperCase() + label.slice(1) : label;
+}
+
+function formatHours(hours) {
+  const rounded = Math.round(hours * 10) / 10;
+  return `${rounded} ${rounded === 1 ? 'hour' : 'hours'}`;
+}
+
+function formatShiftMinutes(minutes) {
+  const absolute = Math.abs(minutes);
+  return absolute >= 60 ? formatHours(absolute / 60) : `${absolute} minutes`;
+}
+
+// "May 1" for a YYYY-MM-DD date (a calendar date, so formatted in UTC to avoid shifting it)
+function formatDate(date, { withYear = false } = {}) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: withYear ? 'numeric' : undefined, timeZone: 'UTC'
+  });
+}
+
+// "Your Last 7 Days" for a range ending today, otherwise its dates ("Apr 24 – Apr 30, 2024")
+function rangeTitle(range) {
+  if (range.ends_today) {
+    return `Your Last ${range.days} Days`;
+  }
+  const sameYear = range.start_date.slice(0, 4) === range.end_date.slice(0, 4);
+  return `${formatDate(range.start_date, { withYear: !sameYear })} – ${formatDate(range.end_date, { withYear: true })}`;
+}
+
+function describeRangeDays(range) {
+  return range.ends_today ? `the last ${range.days} days` : `the ${range.days} days in the period`;
+}
+
+function describeLargestMealType(largest) {
+  if (largest.meal_type === 'snack') {
+    return `Snacks accounted for the most calories, ${largest.percentage}% of your total`;
+  }
+  return `${mealTypeLabel(largest.meal_type, { capitalize: true })} was your largest meal, accounting for ${largest.percentage}% of your total calories`;
+}
+
+// Daily summary from PatternSummaryService.extractPatterns output
+function summarizeDay(patterns) {
+  const bullets = [];
+  const itemCount = Object.values(patterns.meal_type_distribution || {}).reduce((sum, count) => sum + count, 0);
+
+  if (patterns.eating_occasions > 1) {
+    bullets.push(`Your first food item was at ${patterns.first_food_time} and your last at ${patterns.latest_food_time}, an eating window of ${formatHours(patterns.eating_window_hours)}`);
+  } else if (patterns.first_food_time) {
+    bullets.push(`You logged ${itemCount} food ${itemCount === 1 ? 'item' : 'items'} in a single eating occasion at ${patterns.first_food_time}`);
+  }
+
+  if (patterns.eating_occasions > 1 && patterns.longest_gap) {
+    bullets.push(`You had ${patterns.eating_occasions} eating occasions, with the longest gap of ${formatHours(patterns.longest_gap.hours)} between ${patterns.longest_gap.from} and ${patterns.longest_gap.to}`);
+  }
+
+  // With a single meal type the share is trivially 100%
+  if (patterns.largest_meal_type && patterns.largest_meal_type.percentage < 100) {
+    bullets.push(describeLargestMealType(patterns.largest_meal_type));
+  }
+
+  const percentages = patterns.macro_calorie_percentages;
+  if (percentages) {
+    bullets.push(`Protein accounted for ${percentages.protein}% of your calories, carbs for ${percentages.carbs}% and fat for ${percentages.fat}% (estimated)`);
+  }
+
+  const totals = patterns.total_macros;
+  if (totals && (totals.protein > 0 || totals.carbs > 0 || totals.fat > 0)) {
+    bullets.push(`You consumed a total of ${totals.protein}g of protein, ${totals.carbs}g of carbs and ${totals.fat}g of fat`);
+  }
+
+  if (bullets.length === 0) {
+    bullets.push(`You logged ${itemCount} food ${itemCount === 1 ? 'item' : 'items'} today`);
+  }
+
+  // The overall sentence connects timing with where the calories landed
+  let overall;
+  const largest = patterns.largest_meal_type;
+  const largestLabel = largest ? mealTypeLabel(largest.meal_type) : null;
+  if (patterns.eating_occasions > 1 && largest) {
+    overall = `Your ${patterns.eating_occasions} eating occasions spanned ${formatHours(patterns.eating_window_hours)}, with ${largestLabel} contributing ${largest.percentage}% of your calories.`;
+  } else if (largest && percentages) {
+    overall = `${largestLabel.charAt(0).toUpperCase() + largestLabel.slice(1)} contributed ${largest.percentage}% of your calories, and carbs made up ${percentages.carbs}% of the calories you logged (estimated).`;
+  } else {
+    overall = `You logged ${itemCount} food ${itemCount === 1 ? 'item' : 'items'} today.`;
+  }
+
+  return {
+    summary: "Today's Eating Pattern",
+    bullets: bullets.slice(0, MAX_BULLETS),
+    overall
+  };
+}
+
+// Multi-day summary from PatternSummaryService.extractRangePatterns output
+function summarizeRange(patterns) {
+  const { range, averages, trends, weekday_vs_weekend: weekParts, streaks, meal_type_calorie_share: shares } = patterns;
+  const bullets = [];
+
+  let loggingBullet = `You logged food on ${range.days_logged} of ${describeRangeDays(range)}`;
+  if (streaks.longest_logging_streak_days > 1) {
+    loggingBullet += `, with a longest streak of ${streaks.longest_logging_streak_days} days in a row`;
+  }
+  bullets.push(loggingBullet);
+
+  if (averages && averages.average_first_food_time) {
+    bullets.push(`On average your first food item was at ${averages.average_first_food_time} and your last at ${averages.average_last_food_time}`);
+  }
+
+  const shift = trends.first_food_time_shift_minutes;
+  if (shift !== null && Math.abs(shift) >= 15) {
+    bullets.push(`Your first food item came ${formatShiftMinutes(shift)} ${shift > 0 ? 'later' : 'earlier'} in the second half of the period than in the first half`);
+  }
+
+  if (weekParts.weekday && weekParts.weekend && weekParts.weekday.average_calories > 0) {
+    const difference = Math.round(((weekParts.weekend.average_calories - weekParts.weekday.average_calories) / weekParts.weekday.average_calories) * 100);
+    if (Math.abs(difference) >= 5) {
+      bullets.push(`On weekend days you logged ${Math.abs(difference)}% ${difference > 0 ? 'more' : 'fewer'} calories than on weekdays`);
+    } else {
+      bullets.push('Your daily calories were within 5% of each other on weekdays and weekends');
+    }
+  }
+
+  const overallShares = Object.entries(shares.overall);
+  const topShare = overallShares.sort((a, b) => b[1] - a[1])[0];
+  if (topShare) {
+    bullets.push(`${mealTypeLabel(topShare[0], { capitalize: true })} accounted for ${topShare[1]}% of your calories across the period`);
+  }
+
+  if (averages && averages.protein !== null) {
+    bullets.push(`On logged days you averaged ${averages.protein}g of protein, ${averages.carbs}g of carbs and ${averages.fat}g of fat`);
+  }
+
+  let overall;
+  if (shift !== null && Math.abs(shift) >= 15 && topShare) {
+    overall = `Your eating day started ${formatShiftMinutes(shift)} ${shift > 0 ? 'later' : 'earlier'} as the period went on, while ${mealTypeLabel(topShare[0])} kept the largest share of your calories at ${topShare[1]}%.`;
+  } else if (averages && averages.average_eating_window_hours !== null && topShare) {
+    overall = `Across ${range.days_logged} logged days your eating window averaged ${formatHours(averages.average_eating_window_hours)}, with ${mealTypeLabel(topShare[0])} contributing ${topShare[1]}% of your calories.`;
+  } else {
+    overall = `You logged food on ${range.days_logged} of ${describeRangeDays(range)}.`;
+  }
+
+  return {
+    summary: rangeTitle(range),
+    bullets: bullets.slice(0, MAX_BULLETS),
+    overall
+  };
+}
+
+module.exports = {
+  summarizeDay,
+  summarizeRange,
+  rangeTitle
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const { NUTRIENT_FIELDS, NUTRIENT_UNITS, sumNutrients } = require('./nutrientSchema');
+
+const BUNDLED_RULES_DIR = path.join(__dirname, '..', 'scoring-rules');
+const DEFAULT_RULE_SET = 'default';
+const DEFAULT_DAILY_WEIGHTS = { totalsWeight: 0.6, mealAverageWeight: 0.4 };
+const RELOAD_DEBOUNCE_MS = 200;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function formatAmount(nutrient, value) {
+  const unit = NUTRIENT_UNITS[nutrient];
+  return unit === 'kcal' ? `${Math.round(value)} kcal` : `${round(value)}${unit}`;
+}
+
+// Component scorers: each returns { fraction (0-1), reason, value?, target? }. context holds the totals,
+// the foods, the targets for the scope (one meal's share or the whole day) and the scale from a meal
+// to the scope (1 for a meal, mealsPerDay for a day)
+const SCORERS = {
+  // Up to full points at the target, none below zero
+  target_ratio(component, { totals, targets }) {
+    const value = totals[component.nutrient];
+    const target = targets[component.nutrient] * (component.targetMultiplier || 1);
+    if (!(target > 0)) {
+      return { fraction: 1, reason: `No ${component.nutrient} target`, value, target: null };
+    }
+    const ratio = value / target;
+    return {
+      fraction: Math.min(1, ratio),
+      reason: `${formatAmount(component.nutrient, value)} of the ${formatAmount(component.nutrient, target)} target (${Math.round(ratio * 100)}%)`,
+      value,
+      target: round(target)
+    };
+  },
+
+  // Full points on target, falling to none at `tolerance` (share of the target) over or under
+  target_closeness(component, { totals, targets }) {
+    const value = totals[component.nutrient];
+    const target = targets[component.nutrient];
+    if (!(target > 0)) {
+      return { fraction: 1, reason: `No ${component.nutrient} target`, value, target: null };
+    }
+    const deviation = (value - target) / target;
+    const tolerance = component.tolerance || 0.5;
+    const percent = Math.round(Math.abs(deviation) * 100);
+    return {
+      fraction: Math.max(0, 1 - Math.abs(deviation) / tolerance),
+      reason: percent === 0
+        ? `${formatAmount(component.nutrient, value)}, on the ${formatAmount(component.nutrient, target)} target`
+        : `${formatAmount(component.nutrient, value)} is ${percent}% ${deviation > 0 ? 'over' : 'under'} the ${formatAmount(component.nutrient, target)} target`,
+      value,
+      target: round(target)
+    };
+  },
+
+  // Full points up to `max` (per day, scaled to the scope), none at `zeroAt` times the limit
+  limit(component, { totals, scale, targets }) {
+    const value = totals[component.nutrient];
+    const max = component.max / targets.mealsPerDay * scale;
+    const zeroAt = max * (component.zeroAt || 2);
+    const fraction = value <= max ? 1 : Math.max(0, 1 - (value - max) / (zeroAt - max));
+    return {
+      fraction,
+      reason: value <= max
+        ? `${formatAmount(component.nutrient, value)}, within the ${formatAmount(component.nutrient, max)} limit`
+        : `${formatAmount(component.nutrient, value)} is over the ${formatAmount(component.nutrient, max)} limit`,
+      value,
+      target: round(max)
+    };
+  },
+
+  // Half for the nutrient groups present (each above its per-meal grams), half for the number of
+  // different foods up to minFoods
+  variety(component, { totals, foods, scale }) {
+    const groups = Object.entries(component.groups || {});
+    const present = groups.filter(([nutrient, grams]) => totals[nutrient] >= grams * scale).map(([nutrient]) => nutrient);
+    const foodNames = new Set(foods.map(food => String(food.name || '').trim().toLowerCase()).filter(Boolean));
+    const minFoods = (component.minFoods || 3) * scale;
+    const groupShare = groups.length > 0 ? present.length / groups.length : 1;
+    const foodShare = Math.min(1, foodNames.size / minFoods);
+    return {
+      fraction: groupShare * 0.5 + foodShare * 0.5,
+      reason: `${present.length} of ${groups.length} nutrient groups${present.length > 0 ? ` (${present.join(', ')})` : ''}, ${foodNames.size} of ${minFoods} different foods`,
+      value: foodNames.size,
+      target: minFoods
+    };
+  }
+};
+
+const NUTRIENT_SCORERS = ['target_ratio', 'target_closeness', 'limit'];
+
+// Meal and daily scores from rule sets: JSON files in scoring-rules/ (or SCORING_RULES_DIR, whose
+// files replace bundled sets of the same name). A rule set lists weighted components, each scored by
+// one of the SCORERS with a reason, so the score shown in the app can be explained and tuned by
+// editing the files. Rule sets are loaded at startup and reloaded when a rule directory changes
+class ScoringService {
+  constructor() {
+    this.reloadTimer = null;
+    this.ruleSets = this.loadRuleSets();
+    this.watchRuleDirs();
+  }
+
+  ruleDirs() {
+    return [BUNDLED_RULES_DIR, process.env.SCORING_RULES_DIR].filter(Boolean);
+  }
+
+  listRuleFiles() {
+    const files = new Map();
+    this.ruleDirs().forEach(dir => {
+      try {
+        fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+          files.set(path.basename(file, '.json'), path.join(dir, file));
+        });
+      } catch (error) {
+        console.error(`❌ Cannot read scoring rules from ${dir}:`, error.message);
+      }
+    });
+    return files;
+  }
+
+  // Editors often write a file in several steps, so a burst of change events triggers one reload.
+  // The watchers never keep the process alive
+  watchRuleDirs() {
+    this.ruleDirs().forEach(dir => {
+      try {
+        fs.watch(dir, { persistent: false }, () => {
+          clearTimeout(this.reloadTimer);
+          this.reloadTimer = setTimeout(() => {
+            this.ruleSets = this.loadRuleSets();
+          }, RELOAD_DEBOUNCE_MS);
+          this.reloadTimer.unref();
+        }).on('error', error => console.error(`❌ Stopped watching scoring rules in ${dir}:`, error.message));
+      } catch (error) {
+        console.error(`❌ Cannot watch scoring rules in ${dir}:`, error.message);
+      }
+    });
+  }
+
+  getRuleSets() {
+    return this.ruleSets;
+  }
+
+  loadRuleSets() {
+    const ruleSets = new Map();
+    this.listRuleFiles().forEach((filePath, name) => {
+      try {
+        const ruleSet = { ...JSON.parse(fs.readFileSync(filePath, 'utf8')), name };
+        const error = this.validateRuleSet(ruleSet);
+        if (error) {
+          throw new Error(error);
+        }
+        ruleSets.set(name, ruleSet);
+      } catch (error) {
+        console.error(`❌ Skipping scoring rule set ${filePath}:`, error.message);
+      }
+    });
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`🧮 Loaded scoring rule sets: ${Array.from(ruleSets.keys()).join(', ')}`);
+    }
+    return ruleSets;
+  }
+
+  validateRuleSet(ruleSet) {
+    if (!Array.isArray(ruleSet.components) || ruleSet.components.length === 0) {
+      return 'components must be a non-empty array';
+    }
+    for (const component of ruleSet.components) {
+      if (!component || typeof component.id !== 'string') {
+        return 'every component needs an id';
+      }
+      if (!SCORERS[component.type]) {
+        return `component ${component.id} has unknown type "${component.type}" (${Object.keys(SCORERS).join(', ')})`;
+      }
+      if (!(typeof component.weight === 'number' && component.weight > 0)) {
+        return `component ${component.id} needs a positive weight`;
+      }
+      if (NUTRIENT_SCORERS.includes(component.type) && !NUTRIENT_FIELDS.includes(component.nutrient)) {
+        return `component ${component.id} needs a nutrient (${NUTRIENT_FIELDS.join(', ')})`;
+      }
+      if (component.type === 'limit' && !(typeof component.max === 'number' && component.max > 0)) {
+        return `component ${component.id} needs a positive daily max`;
+      }
+    }
+    return null;
+  }
+
+  hasRuleSet(name) {
+    return this.getRuleSets().has(name);
+  }
+
+  listRuleSets() {
+    return Array.from(this.getRuleSets().values()).map(ruleSet => ({
+      name: ruleSet.name,
+      description: ruleSet.description || null,
+      components: ruleSet.components.map(({ id, label, type, weight }) => ({ id, label: label || id, type, weight }))
+    }));
+  }
+
+  // Explicit choice, then the user's saved choice (targets.scoringRuleSet), then the goal's set, then default
+  selectRuleSet(targets, ruleSetName) {
+    const ruleSets = this.getRuleSets();
+    const candidates = [ruleSetName, targets.scoringRuleSet, targets.goal, DEFAULT_RULE_SET];
+    const name = candidates.find(candidate => candidate && ruleSets.has(candidate));
+    if (!name) {
+      throw new Error(`No scoring rule set found (looked for ${candidates.filter(Boolean).join(', ')})`);
+    }
+    return ruleSets.get(name);
+  }
+
+  scoreComponents(ruleSet, context) {
+    const maxWeight = ruleSet.components.reduce((sum, component) => sum + component.weight, 0);
+    const components = ruleSet.components.map(component => {
+      // A nutrient none of the foods reported (null) is not held against the meal
+      const unknown = NUTRIENT_SCORERS.includes(component.type) && context.totals[component.nutrient] === null;
+      const { fraction, reason, value, target } = unknown
+        ? { fraction: 1, reason: `No ${component.nutrient} reported` }
+        : SCORERS[component.type](component, context);
+      return {
+        id: component.id,
+        label: component.label || component.id,
+        score: round(fraction * component.weight),
+        maxScore: component.weight,
+        reason,
+        value: value === undefined ? null : value,
+        target: target === undefined ? null : target
+      };
+    });
+    const earned = components.reduce((sum, component) => sum + component.score, 0);
+    return {
+      // Scores are reported out of 100 whatever the weights add up to
+      score: Math.round(earned / maxWeight * 100),
+      components
+    };
+  }
+
+  // meal: { foods, totals }; targets: targetsService output (perMeal is used)
+  scoreMeal(meal, targets, { ruleSet: ruleSetName } = {}) {
+    return this.scoreMealWithRuleSet(this.selectRuleSet(targets, ruleSetName), meal, targets);
+  }
+
+  scoreMealWithRuleSet(ruleSet, meal, targets) {
+    const foods = meal.foods || [];
+    const totals = meal.totals || sumNutrients(foods);
+    return {
+      scope: 'meal',
+      ruleSet: ruleSet.name,
+      maxScore: 100,
+      ...this.scoreComponents(ruleSet, {
+        totals,
+        foods,
+        targets: { ...targets.perMeal, mealsPerDay: targets.mealsPerDay },
+        scale: 1
+      })
+    };
+  }
+
+  // The day's totals against the daily targets, blended with the average meal score by the rule
+  // set's daily weights. meals: meal log entries ({ id, mealType, timestamp, foods, totals })
+  scoreDay(meals, targets, { ruleSet: ruleSetName, date } = {}) {
+    const ruleSet = this.selectRuleSet(targets, ruleSetName);
+    if (meals.length === 0) {
+      return { scope: 'day', date: date || null, ruleSet: ruleSet.name, score: null, maxScore: 100, reason: 'No meals logged', totals: null, meals: [] };
+    }
+
+    const mealScores = meals.map(meal => ({
+      mealId: meal.id || null,
+      mealType: meal.mealType || null,
+      timestamp: meal.timestamp || null,
+      ...this.scoreMealWithRuleSet(ruleSet, meal, targets)
+    }));
+    const foods = meals.flatMap(meal => meal.foods || []);
+    const dayTotals = sumNutrients(meals.map(meal => meal.totals || sumNutrients(meal.foods || [])));
+    const totalsScore = this.scoreComponents(ruleSet, {
+      totals: dayTotals,
+      foods,
+      targets,
+      scale: targets.mealsPerDay
+    });
+
+    const weights = { ...DEFAULT_DAILY_WEIGHTS, ...(ruleSet.daily || {}) };
+    const weightSum = weights.totalsWeight + weights.mealAverageWeight;
+    const averageMealScore = Math.round(mealScores.reduce((sum, meal) => sum + meal.score, 0) / mealScores.length);
+    const score = Math.round((totalsScore.score * weights.totalsWeight + averageMealScore * weights.mealAverageWeight) / weightSum);
+
+    return {
+      scope: 'day',
+      date: date || null,
+      ruleSet: ruleSet.name,
+      score,
+      maxScore: 100,
+      reason: `Day totals scored ${totalsScore.score} (weight ${weights.totalsWeight}) and the ${mealScores.length} ${mealScores.length === 1 ? 'meal' : 'meals'} averaged ${averageMealScore} (weight ${weights.mealAverageWeight})`,
+      totals: { ...totalsScore, nutrients: dayTotals },
+      averageMealScore,
+      meals: mealScores
+    };
+  }
+}
+
+module.exports = new ScoringService();
+module.exports.SCORERS = SCORERS;
+module.exports.BUNDLED_RULES_DIR = BUNDLED_RULES_DIR;
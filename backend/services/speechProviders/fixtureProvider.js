@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic provider for dev and CI: ignores the audio and returns the recorded transcript
+// in <SPEECH_FIXTURE_DIR>/transcribe.json
+class FixtureSpeechProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.model = 'fixture';
+    this.fixtureDir = options.fixtureDir || process.env.SPEECH_FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures', 'speech');
+  }
+
+  async transcribe({ language } = {}) {
+    const fixturePath = path.join(this.fixtureDir, 'transcribe.json');
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`No speech fixture found at ${fixturePath}`);
+    }
+
+    return {
+      text: fixture.text,
+      language: fixture.language || language || null,
+      durationSeconds: fixture.duration !== undefined ? fixture.duration : null,
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = FixtureSpeechProvider;
@@ -0,0 +1,34 @@
+const OpenAISpeechProvider = require('./openaiProvider');
+const WhisperCompatibleProvider = require('./whisperCompatibleProvider');
+const FixtureSpeechProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+  openai: OpenAISpeechProvider,
+  'whisper-compatible': WhisperCompatibleProvider,
+  fixture: FixtureSpeechProvider
+};
+
+let instance = null;
+
+// Speech-to-text provider from SPEECH_PROVIDER, defaulting to OpenAI
+function getProviderName() {
+  return (process.env.SPEECH_PROVIDER || 'openai').toLowerCase();
+}
+
+function getSpeechProvider() {
+  const providerName = getProviderName();
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown speech provider "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!instance) {
+    instance = new Provider();
+  }
+  return instance;
+}
+
+module.exports = {
+  getSpeechProvider,
+  getProviderName,
+  PROVIDERS
+};
@@ -0,0 +1,55 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+// Whisper transcription through the OpenAI audio API
+class OpenAISpeechProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.model = options.model || process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL;
+    this.timeout = options.timeout || 60000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.client = null;
+  }
+
+  // Create the client lazily so a missing key only fails voice requests
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL,
+        timeout: this.timeout,
+        maxRetries: this.maxRetries
+      });
+    }
+    return this.client;
+  }
+
+  // audio is { buffer, filename, mimetype }; language is an optional ISO-639-1 hint
+  async transcribe({ audio, language, prompt, signal }) {
+    const request = {
+      file: await toFile(audio.buffer, audio.filename || 'memo.m4a', { type: audio.mimetype }),
+      model: this.model,
+      response_format: 'verbose_json'
+    };
+    if (language) {
+      request.language = language;
+    }
+    if (prompt) {
+      request.prompt = prompt;
+    }
+
+    const response = await this.getClient().audio.transcriptions.create(request, { signal });
+
+    return {
+      text: (response.text || '').trim(),
+      language: response.language || language || null,
+      durationSeconds: response.duration !== undefined ? response.duration : null,
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = OpenAISpeechProvider;
@@ -0,0 +1,24 @@
+const OpenAISpeechProvider = require('./openaiProvider');
+
+// Any server exposing the OpenAI /v1/audio/transcriptions API (faster-whisper-server,
+// whisper.cpp server, LocalAI, ...), so voice logging can run without OpenAI
+class WhisperCompatibleProvider extends OpenAISpeechProvider {
+  constructor(options = {}) {
+    const baseURL = options.baseURL || process.env.LOCAL_SPEECH_BASE_URL;
+    if (!baseURL) {
+      throw new Error('LOCAL_SPEECH_BASE_URL must be set to use the whisper-compatible speech provider');
+    }
+
+    super({
+      name: 'whisper-compatible',
+      baseURL,
+      model: options.model || process.env.LOCAL_SPEECH_MODEL || 'whisper-1',
+      // Local servers usually ignore the key, but the SDK refuses to start without one
+      apiKey: options.apiKey || process.env.LOCAL_SPEECH_API_KEY || 'not-needed',
+      timeout: parseInt(process.env.LOCAL_SPEECH_TIMEOUT_MS) || 60000,
+      maxRetries: 0
+    });
+  }
+}
+
+module.exports = WhisperCompatibleProvider;
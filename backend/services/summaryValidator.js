@@ -0,0 +1,174 @@
+// Post-generation checks for pattern summaries. The prompts forbid evaluative language, food names,
+// portion sizes and invented numbers (App Store guideline 1.4.1); this verifies the model's answer
+// against those rules and the computed patterns instead of trusting it
+
+// Banned terms by category, matched as whole words/phrases, case-insensitive
+const BANNED_TERMS = {
+  evaluative: [
+    'healthy', 'unhealthy', 'healthier', 'healthiest', 'balanced', 'unbalanced', 'imbalanced', 'better', 'worse',
+    'best', 'worst', 'good', 'bad', 'great', 'excellent', 'poor', 'nutritious', 'junk', 'clean eating',
+    'guilt', 'guilty', 'cheat meal', 'indulgent', 'indulgence', 'impressive', 'well done'
+  ],
+  advice: [
+    'should', 'avoid', 'recommend', 'recommended', 'consider', 'try to', 'make sure', 'cut back', 'limit',
+    'aim for', 'need to', 'improve', 'improvement', 'reduce', 'increase your'
+  ],
+  health: [
+    'risk', 'disease', 'diabetes', 'blood sugar', 'weight loss', 'weight gain', 'lose weight', 'overeat',
+    'overeating', 'diet quality', 'too much', 'too many', 'too little', 'excessive', 'deficient', 'deficiency'
+  ],
+  macro_classification: [
+    'carb-heavy', 'carb heavy', 'protein-rich', 'protein rich', 'protein-packed', 'fat-heavy', 'fat heavy',
+    'high-fat', 'high fat', 'low-fat', 'low fat', 'high-carb', 'high carb', 'low-carb', 'low carb',
+    'high-protein', 'high protein', 'low-protein', 'low protein', 'sugary', 'fatty'
+  ],
+  portion_size: ['small portion', 'medium portion', 'large portion', 'portion size', 'portion sizes']
+};
+
+// Words that may appear in ingredient lists but are part of the summary vocabulary
+const ALLOWED_WORDS = new Set(['protein', 'carbs', 'fat', 'fiber', 'sugar', 'breakfast', 'lunch', 'dinner', 'snack', 'snacks', 'food', 'meal', 'water']);
+
+const MACRO = '(protein|carbs?|carbohydrates?|fat)';
+const MACRO_GRAMS = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*g(?:rams)?\\s+(?:of\\s+)?${MACRO}\\b`, 'gi');
+
+// Sentences that talk about calories coming from a macronutrient need the "(estimated)" suffix
+const MACRO_CALORIE_PATTERNS = [
+  new RegExp(`\\b${MACRO}\\b[^.;]*?\\d+(?:\\.\\d+)?%\\s+of\\s+(?:your\\s+)?(?:total\\s+)?(?:daily\\s+)?calories`, 'i'),
+  new RegExp(`\\bcalories\\s+(?:came\\s+)?from\\s+${MACRO}\\b`, 'i'),
+  new RegExp(`\\b${MACRO}\\b[^.;]*?\\bprovid\\w*\\s+\\d+(?:\\.\\d+)?\\s*(?:calories|kcal)`, 'i'),
+  new RegExp(`\\b\\d+(?:\\.\\d+)?\\s*(?:calories|kcal)\\s+from\\s+${MACRO}\\b`, 'i')
+];
+
+const ESTIMATED_SUFFIX = /\(estimated\)\.?\s*$/i;
+const LARGEST_MEAL_PATTERNS = [
+  /\b(breakfast|lunch|dinner|snacks?)\s+was\s+your\s+largest\b/i,
+  /\blargest\s+meal\s+(?:type\s+)?(?:of\s+the\s+day\s+)?was\s+(breakfast|lunch|dinner|snacks?)\b/i
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const BANNED_PATTERNS = Object.entries(BANNED_TERMS).flatMap(([category, terms]) =>
+  terms.map(term => ({ category, term, pattern: new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i') }))
+);
+
+function normalizeMacro(macro) {
+  const lower = macro.toLowerCase();
+  return lower.startsWith('carb') ? 'carbs' : lower;
+}
+
+function normalizeMealType(mealType) {
+  return mealType.toLowerCase().replace(/s$/, '');
+}
+
+// Violations for one sentence; checkEstimated is off for the overall sentence
+function checkText(text, facts, { checkEstimated = true } = {}) {
+  const violations = [];
+
+  BANNED_PATTERNS.forEach(({ category, term, pattern }) => {
+    if (pattern.test(text)) {
+      violations.push({ rule: `banned_${category}`, detail: `uses "${term}"` });
+    }
+  });
+
+  (facts.foodNames || []).forEach(foodName => {
+    if (new RegExp(`\\b${escapeRegExp(foodName)}\\b`, 'i').test(text)) {
+      violations.push({ rule: 'food_name', detail: `mentions the food "${foodName}"` });
+    }
+  });
+
+  // Every gram figure for a macro must be one of the computed values (total or per meal type), up to rounding
+  const macroGrams = facts.macroGrams || {};
+  for (const match of text.matchAll(MACRO_GRAMS)) {
+    const grams = parseFloat(match[1]);
+    const macro = normalizeMacro(match[2]);
+    const allowed = macroGrams[macro] || [];
+    if (allowed.length > 0 && !allowed.some(value => Math.abs(value - grams) <= 0.5)) {
+      violations.push({ rule: 'macro_number_mismatch', detail: `${grams}g of ${macro} is not in the computed data (${allowed.join(', ')}g)` });
+    }
+  }
+
+  const largest = facts.largestMealType;
+  if (largest) {
+    LARGEST_MEAL_PATTERNS.forEach(pattern => {
+      const match = text.match(pattern);
+      if (!match) {
+        return;
+      }
+      if (normalizeMealType(match[1]) !== largest.meal_type) {
+        violations.push({ rule: 'largest_meal_type_mismatch', detail: `names ${match[1]} as largest, computed ${largest.meal_type}` });
+        return;
+      }
+      const percentMatch = text.match(/(\d+(?:\.\d+)?)%/);
+      if (percentMatch && Math.abs(parseFloat(percentMatch[1]) - largest.percentage) > 1) {
+        violations.push({ rule: 'largest_meal_type_mismatch', detail: `gives ${percentMatch[1]}% for ${largest.meal_type}, computed ${largest.percentage}%` });
+      }
+    });
+  }
+
+  if (checkEstimated) {
+    const mentionsMacroCalories = MACRO_CALORIE_PATTERNS.some(pattern => pattern.test(text));
+    const hasSuffix = ESTIMATED_SUFFIX.test(text);
+    if (mentionsMacroCalories && !hasSuffix) {
+      violations.push({ rule: 'missing_estimated_suffix', detail: 'mentions calories from macros without "(estimated)"' });
+    } else if (!mentionsMacroCalories && hasSuffix) {
+      violations.push({ rule: 'unneeded_estimated_suffix', detail: '"(estimated)" without calories from macros' });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check a { summary, bullets, overall } answer.
+ * facts: { macroGrams: { protein: [..], carbs: [..], fat: [..] }, largestMealType: { meal_type, percentage }, foodNames: [..] }
+ * Returns a list of { field: 'bullets' | 'overall', index, text, rule, detail }
+ */
+function validateSummary(summary, facts = {}) {
+  const violations = [];
+  const bullets = Array.isArray(summary && summary.bullets) ? summary.bullets : [];
+
+  if (bullets.length === 0) {
+    violations.push({ field: 'bullets', index: null, text: '', rule: 'missing_bullets', detail: 'no bullets returned' });
+  }
+  bullets.forEach((bullet, index) => {
+    if (typeof bullet !== 'string' || bullet.trim().length === 0) {
+      violations.push({ field: 'bullets', index, text: String(bullet), rule: 'empty_bullet', detail: 'bullet is not text' });
+      return;
+    }
+    checkText(bullet, facts).forEach(violation => violations.push({ field: 'bullets', index, text: bullet, ...violation }));
+  });
+
+  const overall = summary && summary.overall;
+  if (typeof overall !== 'string' || overall.trim().length === 0) {
+    violations.push({ field: 'overall', index: null, text: '', rule: 'missing_overall', detail: 'no overall sentence returned' });
+  } else {
+    checkText(overall, facts, { checkEstimated: false }).forEach(violation => violations.push({ field: 'overall', index: null, text: overall, ...violation }));
+  }
+
+  return violations;
+}
+
+// Ingredient names worth protecting from being quoted back (whole words, at least three letters)
+function collectFoodNames(items) {
+  const names = new Set();
+  items.forEach(item => {
+    const ingredients = item.ingredients || item.detected_ingredients || [];
+    if (Array.isArray(ingredients)) {
+      ingredients.forEach(ingredient => {
+        const name = String(ingredient || '').trim().toLowerCase();
+        if (name.length >= 3 && !ALLOWED_WORDS.has(name)) {
+          names.add(name);
+        }
+      });
+    }
+  });
+  return Array.from(names);
+}
+
+module.exports = {
+  BANNED_TERMS,
+  validateSummary,
+  collectFoodNames
+};
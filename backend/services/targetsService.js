@@ -0,0 +1,259 @@
+const FileStore = require('./fileStore');
+const scoringService = require('./scoringService');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SEXES = ['male', 'female'];
+const ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+// direction: sign of the calorie adjustment; calorieSplit (% of calories) is used when only
+// dailyCalories is known
+const GOALS = {
+  weight_loss: { direction: -1, defaultRateKgPerWeek: 0.5, proteinPerKg: 2.0, calorieSplit: { protein: 30, carbs: 40, fat: 30 } },
+  maintenance: { direction: 0, defaultRateKgPerWeek: 0, proteinPerKg: 1.6, calorieSplit: { protein: 20, carbs: 50, fat: 30 } },
+  muscle_gain: { direction: 1, defaultRateKgPerWeek: 0.25, proteinPerKg: 1.8, calorieSplit: { protein: 25, carbs: 50, fat: 25 } }
+};
+const KCAL_PER_KG = 7700;
+const MAX_GOAL_RATE_KG = 1;
+const MINIMUM_CALORIES = { female: 1200, male: 1500 };
+const DEFAULT_FAT_PERCENT = 30;
+const FIBER_PER_1000_KCAL = 14;
+const DEFAULT_DAILY_CALORIES = 2000;
+const DEFAULT_MEALS_PER_DAY = 3;
+
+// Daily calorie and macro targets from a body profile. Energy expenditure is BMR (Katch-McArdle when
+// body fat is known, otherwise Mifflin-St Jeor) times an activity factor, shifted by the weekly goal
+// rate (7700 kcal per kg of body weight). Protein is set per kg, fat as a share of calories and carbs
+// take the rest. Day types (training, rest, ...) override activity and macro settings for single days
+class TargetsService {
+  constructor() {
+    this.store = new FileStore('targets');
+  }
+
+  // Returns an error message, or null when the profile can be used
+  validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+      return 'profile must be an object';
+    }
+    const inRange = (field, min, max) => {
+      const value = profile[field];
+      return typeof value === 'number' && value >= min && value <= max ? null : `${field} must be a number from ${min} to ${max}`;
+    };
+
+    const rangeError = inRange('age', 18, 100) || inRange('heightCm', 120, 250) || inRange('weightKg', 30, 300);
+    if (rangeError) {
+      return rangeError;
+    }
+    if (!SEXES.includes(profile.sex)) {
+      return `sex must be one of ${SEXES.join(', ')}`;
+    }
+    if (profile.activityLevel !== undefined && !ACTIVITY_FACTORS[profile.activityLevel]) {
+      return `activityLevel must be one of ${Object.keys(ACTIVITY_FACTORS).join(', ')}`;
+    }
+    if (profile.goal !== undefined && !GOALS[profile.goal]) {
+      return `goal must be one of ${Object.keys(GOALS).join(', ')}`;
+    }
+    if (profile.goalRateKgPerWeek !== undefined && !(typeof profile.goalRateKgPerWeek === 'number' && profile.goalRateKgPerWeek >= 0 && profile.goalRateKgPerWeek <= MAX_GOAL_RATE_KG)) {
+      return `goalRateKgPerWeek must be a number from 0 to ${MAX_GOAL_RATE_KG}`;
+    }
+    if (profile.bodyFatPercent !== undefined && profile.bodyFatPercent !== null && !(typeof profile.bodyFatPercent === 'number' && profile.bodyFatPercent >= 3 && profile.bodyFatPercent <= 60)) {
+      return 'bodyFatPercent must be a number from 3 to 60';
+    }
+    if (profile.mealsPerDay !== undefined && !(Number.isInteger(profile.mealsPerDay) && profile.mealsPerDay >= 1 && profile.mealsPerDay <= 8)) {
+      return 'mealsPerDay must be a whole number from 1 to 8';
+    }
+    if (profile.scoringRuleSet !== undefined && !scoringService.hasRuleSet(profile.scoringRuleSet)) {
+      return `scoringRuleSet must be one of ${scoringService.listRuleSets().map(ruleSet => ruleSet.name).join(', ')}`;
+    }
+    const settingsError = this.validateSettings(profile, 'profile');
+    if (settingsError) {
+      return settingsError;
+    }
+
+    if (profile.dayTypes !== undefined) {
+      if (!profile.dayTypes || typeof profile.dayTypes !== 'object' || Array.isArray(profile.dayTypes)) {
+        return 'dayTypes must be an object of named day overrides';
+      }
+      for (const [name, override] of Object.entries(profile.dayTypes)) {
+        if (!override || typeof override !== 'object') {
+          return `dayTypes.${name} must be an object`;
+        }
+        if (override.activityLevel !== undefined && !ACTIVITY_FACTORS[override.activityLevel]) {
+          return `dayTypes.${name}.activityLevel must be one of ${Object.keys(ACTIVITY_FACTORS).join(', ')}`;
+        }
+        if (override.calorieAdjustment !== undefined && !(typeof override.calorieAdjustment === 'number' && Math.abs(override.calorieAdjustment) <= 1500)) {
+          return `dayTypes.${name}.calorieAdjustment must be a number from -1500 to 1500`;
+        }
+        const overrideError = this.validateSettings(override, `dayTypes.${name}`);
+        if (overrideError) {
+          return overrideError;
+        }
+      }
+    }
+    if (profile.schedule !== undefined) {
+      if (!profile.schedule || typeof profile.schedule !== 'object') {
+        return 'schedule must map weekdays to day types';
+      }
+      for (const [weekday, dayType] of Object.entries(profile.schedule)) {
+        if (!WEEKDAYS.includes(weekday)) {
+          return `schedule keys must be weekdays (${WEEKDAYS.join(', ')})`;
+        }
+        if (!profile.dayTypes || !profile.dayTypes[dayType]) {
+          return `schedule.${weekday} refers to an unknown day type "${dayType}"`;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Macro settings shared by the profile and day overrides
+  validateSettings(settings, label) {
+    if (settings.proteinPerKg !== undefined && !(typeof settings.proteinPerKg === 'number' && settings.proteinPerKg >= 0.8 && settings.proteinPerKg <= 3.3)) {
+      return `${label}.proteinPerKg must be a number from 0.8 to 3.3`;
+    }
+    if (settings.fatPercent !== undefined && !(typeof settings.fatPercent === 'number' && settings.fatPercent >= 15 && settings.fatPercent <= 60)) {
+      return `${label}.fatPercent must be a number from 15 to 60`;
+    }
+    return null;
+  }
+
+  // Day type for a date: an explicit dayType wins, then the weekday schedule, then "default"
+  resolveDayType(profile, { date, dayType } = {}) {
+    if (dayType) {
+      return dayType;
+    }
+    if (date && profile.schedule) {
+      const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+      if (profile.schedule[weekday]) {
+        return profile.schedule[weekday];
+      }
+    }
+    return 'default';
+  }
+
+  calculateTargets(profile, { date, dayType } = {}) {
+    const resolvedDayType = this.resolveDayType(profile, { date, dayType });
+    const override = (profile.dayTypes && profile.dayTypes[resolvedDayType]) || {};
+    const goal = GOALS[profile.goal] ? profile.goal : 'maintenance';
+    const goalSettings = GOALS[goal];
+
+    // Katch-McArdle uses lean mass; Mifflin-St Jeor estimates it from sex, age and height
+    const hasBodyFat = typeof profile.bodyFatPercent === 'number';
+    const leanMassKg = hasBodyFat ? profile.weightKg * (1 - profile.bodyFatPercent / 100) : null;
+    const bmr = hasBodyFat
+      ? 370 + 21.6 * leanMassKg
+      : 10 * profile.weightKg + 6.25 * profile.heightCm - 5 * profile.age + (profile.sex === 'male' ? 5 : -161);
+
+    const activityLevel = override.activityLevel || profile.activityLevel || 'sedentary';
+    const tdee = bmr * ACTIVITY_FACTORS[activityLevel];
+
+    const goalRate = typeof profile.goalRateKgPerWeek === 'number' ? profile.goalRateKgPerWeek : goalSettings.defaultRateKgPerWeek;
+    const goalAdjustment = goalSettings.direction * goalRate * KCAL_PER_KG / 7;
+    const minimumCalories = MINIMUM_CALORIES[profile.sex] || MINIMUM_CALORIES.female;
+    const calories = Math.max(minimumCalories, Math.round(tdee + goalAdjustment + (override.calorieAdjustment || 0)));
+
+    const proteinPerKg = override.proteinPerKg || profile.proteinPerKg || goalSettings.proteinPerKg;
+    const fatPercent = override.fatPercent || profile.fatPercent || DEFAULT_FAT_PERCENT;
+    const protein = Math.round(proteinPerKg * profile.weightKg);
+    const fat = Math.round((calories * fatPercent / 100) / 9);
+    const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+    const fiber = Math.round(calories / 1000 * FIBER_PER_1000_KCAL);
+
+    return this.withPerMeal({
+      date: date || null,
+      dayType: resolvedDayType,
+      method: hasBodyFat ? 'katch_mcardle' : 'mifflin_st_jeor',
+      goal,
+      goalRateKgPerWeek: goalRate,
+      activityLevel,
+      scoringRuleSet: profile.scoringRuleSet || null,
+      bmr: Math.round(bmr),
+      tdee: Math.round(tdee),
+      calories,
+      protein,
+      carbs,
+      fat,
+      fiber
+    }, profile.mealsPerDay);
+  }
+
+  // Targets when only the legacy { goal, dailyCalories } goals are known: the calories are split
+  // by the goal's macro percentages instead of a per-kg protein target
+  targetsFromCalories(userGoals = {}) {
+    const goal = GOALS[userGoals.goal] ? userGoals.goal : 'maintenance';
+    const calories = typeof userGoals.dailyCalories === 'number' && userGoals.dailyCalories > 0
+      ? Math.round(userGoals.dailyCalories)
+      : DEFAULT_DAILY_CALORIES;
+    const split = GOALS[goal].calorieSplit;
+    return this.withPerMeal({
+      date: null,
+      dayType: 'default',
+      method: 'calories',
+      goal,
+      goalRateKgPerWeek: null,
+      activityLevel: null,
+      scoringRuleSet: null,
+      bmr: null,
+      tdee: null,
+      calories,
+      protein: Math.round(calories * split.protein / 100 / 4),
+      carbs: Math.round(calories * split.carbs / 100 / 4),
+      fat: Math.round(calories * split.fat / 100 / 9),
+      fiber: Math.round(calories / 1000 * FIBER_PER_1000_KCAL)
+    }, userGoals.mealsPerDay);
+  }
+
+  // Targets for whatever the client sent as userGoals: a full body profile, legacy calorie goals,
+  // or nothing (default 2000 kcal maintenance)
+  resolveTargets(userGoals, options = {}) {
+    if (userGoals && typeof userGoals === 'object' && this.validateProfile(userGoals) === null) {
+      return this.calculateTargets(userGoals, options);
+    }
+    return this.targetsFromCalories(userGoals || {});
+  }
+
+  // One meal's share of the daily targets, used by meal suggestions and scoring
+  withPerMeal(targets, mealsPerDay) {
+    const meals = Number.isInteger(mealsPerDay) && mealsPerDay > 0 ? mealsPerDay : DEFAULT_MEALS_PER_DAY;
+    const share = value => Math.round(value / meals * 10) / 10;
+    return {
+      ...targets,
+      mealsPerDay: meals,
+      perMeal: {
+        calories: Math.round(targets.calories / meals),
+        protein: share(targets.protein),
+        carbs: share(targets.carbs),
+        fat: share(targets.fat),
+        fiber: share(targets.fiber)
+      }
+    };
+  }
+
+  async getProfile(userId) {
+    const record = await this.store.get(userId);
+    return record ? record.profile : null;
+  }
+
+  async saveProfile(userId, profile) {
+    const record = await this.store.set(userId, {
+      userId,
+      profile,
+      updatedAt: new Date().toISOString()
+    });
+    return record.profile;
+  }
+
+  // Saved profile's targets for a day, or null when the user has no profile yet
+  async getTargets(userId, options = {}) {
+    const profile = await this.getProfile(userId);
+    return profile ? this.calculateTargets(profile, options) : null;
+  }
+}
+
+module.exports = new TargetsService();
+module.exports.ACTIVITY_FACTORS = ACTIVITY_FACTORS;
+module.exports.GOALS = GOALS;
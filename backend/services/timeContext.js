@@ -0,0 +1,174 @@
+// Local clock time for the pattern routes. With an IANA time zone every timestamp is converted to that
+// zone (DST included), so food items logged under different UTC offsets - a trip, or a night across a
+// clock change - land on the right day and clock time. Without one, the server's zone is used (UTC
+// when it has none). dayStartHour moves the day boundary for night-shift users: with 4, a
+// 2:30 AM snack still belongs to the previous day
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+// An ISO8601 timestamp either ends in Z/±HH:MM or is a floating local time
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim().length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whole hour 0-23, or null when the value is not one
+function parseDayStartHour(value) {
+  const hour = Number(value);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : null;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall clock in timeZone at the given instant
+function zonedParts(epochMs, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(epochMs)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10)
+  };
+}
+
+// Zone offset (local minus UTC) in milliseconds at the given instant
+function zoneOffset(epochMs, timeZone) {
+  const { date, minutes, seconds } = zonedParts(epochMs, timeZone);
+  const localAsUtc = Date.parse(`${date}T00:00:00Z`) + minutes * 60000 + seconds * 1000;
+  return localAsUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+// Instant of a wall-clock time in timeZone. Times skipped by a spring-forward change resolve to the
+// same clock reading in the offset before the change (2:30 AM becomes 3:30 AM)
+function zonedTimeToEpoch(date, minutes, timeZone) {
+  const guess = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  const firstOffset = zoneOffset(guess, timeZone);
+  const candidate = guess - firstOffset;
+  const secondOffset = zoneOffset(candidate, timeZone);
+  return secondOffset === firstOffset ? candidate : guess - Math.min(firstOffset, secondOffset);
+}
+
+// The zone the server runs in, the fallback when neither the request nor DEFAULT_TIME_ZONE names one
+function serverTimeZone() {
+  const { timeZone } = new Intl.DateTimeFormat().resolvedOptions();
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+function addDays(date, count) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null) {
+    return null;
+  }
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60) % 24;
+  const displayMinutes = (rounded % 60).toString().padStart(2, '0');
+  return `${hours % 12 || 12}:${displayMinutes} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+/**
+ * timeZone: IANA name, defaults to DEFAULT_TIME_ZONE (unset: the server's zone)
+ * dayStartHour: 0-23, defaults to DAY_START_HOUR (unset: midnight)
+ */
+function createTimeContext({ timeZone, dayStartHour } = {}) {
+  const zone = [timeZone, process.env.DEFAULT_TIME_ZONE].find(isValidTimeZone);
+  const resolvedZone = zone || serverTimeZone();
+  const startHour = parseDayStartHour(dayStartHour !== undefined && dayStartHour !== null ? dayStartHour : (process.env.DAY_START_HOUR || 0));
+  const dayStartMinutes = (startHour === null ? 0 : startHour) * 60;
+
+  // Milliseconds since the epoch; floating timestamps are read as wall time in the zone
+  const instant = timestamp => {
+    const text = String(timestamp || '');
+    if (!OFFSET_PATTERN.test(text)) {
+      const match = text.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
+      if (match) {
+        return zonedTimeToEpoch(match[1], parseInt(match[2], 10) * 60 + parseInt(match[3], 10), resolvedZone);
+      }
+    }
+    const parsed = Date.parse(text);
+    return isNaN(parsed) ? null : parsed;
+  };
+
+  // Calendar date and minutes after midnight on the local wall clock
+  const clock = timestamp => {
+    const epochMs = instant(timestamp);
+    if (epochMs === null) {
+      return null;
+    }
+    const { date, minutes } = zonedParts(epochMs, resolvedZone);
+    return { date, minutes };
+  };
+
+  // The day a timestamp counts towards and its minutes since that day's start
+  const dayOf = timestamp => {
+    const local = clock(timestamp);
+    if (!local) {
+      return null;
+    }
+    const minutes = local.minutes - dayStartMinutes;
+    return minutes < 0
+      ? { date: addDays(local.date, -1), minutes: minutes + MINUTES_PER_DAY }
+      : { date: local.date, minutes };
+  };
+
+  // Instants bounding a day, for reading the meal log
+  const dayRange = (startDate, endDate = startDate) => ({
+    from: new Date(zonedTimeToEpoch(startDate, dayStartMinutes, resolvedZone)).toISOString(),
+    to: new Date(zonedTimeToEpoch(addDays(endDate, 1), dayStartMinutes, resolvedZone) - 1).toISOString()
+  });
+
+  return {
+    timeZone: resolvedZone,
+    dayStartHour: dayStartMinutes / 60,
+    instant,
+    clock,
+    dayOf,
+    dayRange,
+    // "8:05 AM" on the local wall clock
+    formatTime: timestamp => {
+      const local = clock(timestamp);
+      return local ? formatMinutes(local.minutes) : 'Unknown';
+    },
+    // Minutes since the day start back to a clock time
+    formatDayMinutes: minutes => (minutes === null ? null : formatMinutes((minutes + dayStartMinutes) % MINUTES_PER_DAY)),
+    // The current day
+    today: () => dayOf(new Date().toISOString()).date
+  };
+}
+
+module.exports = {
+  createTimeContext,
+  isValidTimeZone,
+  parseDayStartHour,
+  addDays,
+  formatMinutes
+};
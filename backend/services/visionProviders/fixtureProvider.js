@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_CHUNK_SIZE = 64;
+
+// Deterministic provider for dev and CI: returns recorded responses instead of calling a model.
+// Each route reads <VISION_FIXTURE_DIR>/<route>.json, so responses can be swapped without code changes.
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.model = 'fixture';
+    this.fixtureDir = options.fixtureDir || process.env.VISION_FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures', 'vision');
+    this.route = options.route || 'default';
+  }
+
+  async complete({ onDelta, signal } = {}) {
+    const fixturePath = path.join(this.fixtureDir, `${this.route}.json`);
+    let content;
+    try {
+      content = await fs.promises.readFile(fixturePath, 'utf8');
+    } catch (error) {
+      throw new Error(`No vision fixture found for route "${this.route}" at ${fixturePath}`);
+    }
+
+    // Replay the fixture in small chunks so streaming clients see incremental output
+    if (onDelta) {
+      for (let offset = 0; offset < content.length; offset += FIXTURE_CHUNK_SIZE) {
+        await new Promise(resolve => setImmediate(resolve));
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        onDelta(content.slice(offset, offset + FIXTURE_CHUNK_SIZE));
+      }
+    }
+
+    return {
+      content,
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = FixtureProvider;
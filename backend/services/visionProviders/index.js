@@ -0,0 +1,45 @@
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  fixture: FixtureProvider
+};
+
+// Routes that keep their own OpenAI model instead of OPENAI_MODEL
+const OPENAI_ROUTE_MODELS = {
+  'nutrition-advice': 'gpt-4'
+};
+
+const instances = {};
+
+// Provider for a route is chosen by VISION_PROVIDER_<ROUTE> (e.g. VISION_PROVIDER_ANALYZE_FOOD=fixture),
+// falling back to VISION_PROVIDER and then to OpenAI
+function getProviderName(route) {
+  const routeKey = `VISION_PROVIDER_${route.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  return (process.env[routeKey] || process.env.VISION_PROVIDER || 'openai').toLowerCase();
+}
+
+function getVisionProvider(route) {
+  const providerName = getProviderName(route);
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown vision provider "${providerName}" for route "${route}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Fixture responses differ per route; the API-backed providers can share one client per model
+  const model = providerName === 'openai' ? OPENAI_ROUTE_MODELS[route] : undefined;
+  const instanceKey = providerName === 'fixture' ? `fixture:${route}` : [providerName, model].filter(Boolean).join(':');
+  if (!instances[instanceKey]) {
+    instances[instanceKey] = new Provider({ route, model });
+  }
+  return instances[instanceKey];
+}
+
+module.exports = {
+  getVisionProvider,
+  getProviderName,
+  PROVIDERS
+};
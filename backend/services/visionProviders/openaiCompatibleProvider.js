@@ -0,0 +1,25 @@
+const OpenAIProvider = require('./openaiProvider');
+
+// Any server exposing the OpenAI chat completions API (llama.cpp, vLLM, Ollama, LM Studio, ...)
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const baseURL = options.baseURL || process.env.LOCAL_VISION_BASE_URL;
+    if (!baseURL) {
+      throw new Error('LOCAL_VISION_BASE_URL must be set to use the openai-compatible vision provider');
+    }
+
+    super({
+      name: 'openai-compatible',
+      baseURL,
+      model: options.model || process.env.LOCAL_VISION_MODEL || 'llava',
+      // Local servers usually ignore the key, but the SDK refuses to start without one
+      apiKey: options.apiKey || process.env.LOCAL_VISION_API_KEY || 'not-needed',
+      // Many local servers reject response_format, so JSON mode is opt-in
+      jsonMode: options.jsonMode !== undefined ? options.jsonMode : process.env.LOCAL_VISION_JSON_MODE === 'true',
+      timeout: parseInt(process.env.LOCAL_VISION_TIMEOUT_MS) || 80000,
+      maxRetries: 0
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,92 @@
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o';
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL;
+    this.jsonMode = options.jsonMode !== undefined ? options.jsonMode : true;
+    this.timeout = options.timeout || 80000; // 80 second timeout for API calls
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.client = null;
+  }
+
+  // Create the client lazily so a missing key only fails the routes that actually use this provider
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL,
+        timeout: this.timeout,
+        maxRetries: this.maxRetries
+      });
+    }
+    return this.client;
+  }
+
+  buildMessages(prompt, images = [], detail = 'auto') {
+    if (images.length === 0) {
+      return [{ role: 'user', content: prompt }];
+    }
+
+    return [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map(base64Image => ({
+            type: 'image_url',
+            image_url: {
+              url: `data:image/jpeg;base64,${base64Image}`,
+              detail
+            }
+          }))
+        ]
+      }
+    ];
+  }
+
+  // With onDelta the completion is streamed and each text fragment is passed on as it arrives;
+  // the resolved value is the same either way. An aborted signal cancels the HTTP request
+  async complete({ prompt, images = [], maxTokens = 1000, temperature = 0.3, json = true, detail = 'auto', onDelta, signal }) {
+    const request = {
+      model: this.model,
+      messages: this.buildMessages(prompt, images, detail),
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (json && this.jsonMode) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    if (onDelta) {
+      const stream = await this.getClient().chat.completions.create({ ...request, stream: true }, { signal });
+      let content = '';
+      let model = this.model;
+      for await (const chunk of stream) {
+        model = chunk.model || model;
+        const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      }
+      return {
+        content,
+        provider: this.name,
+        model
+      };
+    }
+
+    const response = await this.getClient().chat.completions.create(request, { signal });
+
+    return {
+      content: response.choices[0].message.content,
+      provider: this.name,
+      model: response.model || this.model
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
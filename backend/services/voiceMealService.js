@@ -0,0 +1,58 @@
+const { getSpeechProvider } = require('./speechProviders');
+const mealParser = require('./mealParser');
+const { analysisError } = require('./analysisPipeline');
+
+// Biases the transcription towards food vocabulary and spoken quantities
+const TRANSCRIPTION_PROMPT = 'A description of a meal: foods, drinks and quantities, e.g. two scrambled eggs, a slice of sourdough with butter and a flat white.';
+
+// Voice memo logging: speech-to-text through the configured speech provider, then the same
+// free-text parsing as /api/parse-meal. The transcript is returned with the foods so the app
+// can correct either one (re-send edited text to /api/parse-meal, or edit foods before logging)
+class VoiceMealService {
+  async transcribe(audio, { language, signal } = {}) {
+    const provider = getSpeechProvider();
+    const startTime = Date.now();
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`🎙️ Transcribing ${Math.round(audio.buffer.length / 1024)} KB with speech provider "${provider.name}" (${provider.model})...`);
+    }
+
+    try {
+      const transcript = await provider.transcribe({ audio, language, prompt: TRANSCRIPTION_PROMPT, signal });
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`✅ Transcription completed in ${Date.now() - startTime}ms: "${transcript.text}"`);
+      }
+      return transcript;
+    } catch (error) {
+      console.error('❌ Speech-to-text error:', error);
+      if (error.status === 401 || /API[ _]key/i.test(error.message || '')) {
+        throw analysisError(500, {
+          error: 'Server configuration error',
+          code: 'API_KEY_ERROR',
+          message: 'The speech-to-text API key is not configured correctly'
+        });
+      }
+      throw analysisError(502, {
+        error: 'Transcription failed',
+        code: 'TRANSCRIPTION_FAILED',
+        message: error.message
+      });
+    }
+  }
+
+  async parse(audio, { language, userId } = {}) {
+    const transcript = await this.transcribe(audio, { language });
+    if (!transcript.text) {
+      throw analysisError(422, {
+        error: 'No speech found',
+        code: 'EMPTY_TRANSCRIPT',
+        message: 'Nothing could be transcribed from the recording. Try again closer to the microphone.',
+        transcript
+      });
+    }
+
+    const result = await mealParser.parse(transcript.text, { userId });
+    return { ...result, transcript };
+  }
+}
+
+module.exports = new VoiceMealService();